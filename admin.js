@@ -8,6 +8,8 @@ import * as ui from 'ui.js';
 
 let logsData = [];
 let currentFilters = {};
+let currentPage = 1;
+let totalPages = 1;
 
 /**
  * Initialize admin panel
@@ -31,8 +33,9 @@ export async function init() {
 /**
  * Load AI action logs
  * @param {Object} filters 
+ * @param {number} page - 1-based page number
  */
-export async function loadLogs(filters = {}) {
+export async function loadLogs(filters = {}, page = 1) {
   const logsContainer = document.getElementById('logs-table');
 
   if (!logsContainer) return;
@@ -40,7 +43,12 @@ export async function loadLogs(filters = {}) {
   ui.showLoading(logsContainer);
 
   try {
-    logsData = await api.getAdminLogs(filters);
+    // A newer filter submit cancels this request instead of racing it
+    const result = await api.getAdminLogs(filters, { page }, { key: 'admin-logs' });
+
+    logsData = result.items;
+    currentPage = result.page;
+    totalPages = Math.max(Math.ceil(result.total / result.page_size), 1);
 
     if (logsData.length === 0) {
       logsContainer.innerHTML = `
@@ -52,9 +60,17 @@ export async function loadLogs(filters = {}) {
       return;
     }
 
-    logsContainer.innerHTML = renderLogsTable(logsData);
+    logsContainer.innerHTML = renderLogsTable(logsData) + renderPagination();
 
   } catch (error) {
+    if (api.isAbortError(error)) return;
+
+    // Role was revoked or stored user data is outdated
+    if (error instanceof api.ApiError && error.status === 403) {
+      window.location.replace('access_denied.html');
+      return;
+    }
+
     console.error('Failed to load logs:', error);
     logsContainer.innerHTML = '<p>Ошибка загрузки логов</p>';
     ui.showToast('Ошибка загрузки логов', 'error');
@@ -103,6 +119,37 @@ function renderLogsTable(logs) {
   `;
 }
 
+/**
+ * Render page controls
+ * @returns {string}
+ */
+function renderPagination() {
+  if (totalPages <= 1) return '';
+
+  return `
+    <div class="flex-between" style="margin-top: 1rem;">
+      <button class="btn btn-sm btn-ghost" onclick="window.adminModule.goToPage(${currentPage - 1})" ${currentPage <= 1 ? 'disabled' : ''}>
+        ← Назад
+      </button>
+      <span style="color: var(--text-secondary); font-size: var(--text-sm);">
+        Страница ${currentPage} из ${totalPages}
+      </span>
+      <button class="btn btn-sm btn-ghost" onclick="window.adminModule.goToPage(${currentPage + 1})" ${currentPage >= totalPages ? 'disabled' : ''}>
+        Вперёд →
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Go to logs page with current filters
+ * @param {number} page 
+ */
+export async function goToPage(page) {
+  if (page < 1 || page > totalPages) return;
+  await loadLogs(currentFilters, page);
+}
+
 /**
  * Format action type
  * @param {string} type 
@@ -238,12 +285,13 @@ export function filterLogs(filters) {
   }
 }
 
-// Expose viewLogDetails to global scope for onclick handler
-window.adminModule = { viewLogDetails };
+// Expose handlers to global scope for onclick attributes
+window.adminModule = { viewLogDetails, goToPage };
 
 export default {
   init,
   loadLogs,
+  goToPage,
   filterLogs,
   viewLogDetails
 };
@@ -7,13 +7,17 @@ import * as api from 'api.js';
 import * as speech from 'speech.js';
 import * as ui from 'ui.js';
 import * as auth from 'auth.js';
+import * as offlineQueue from 'offline_queue.js';
 import { toggleMicPulse } from 'animations.js';
+import { escapeHtml } from 'utils.js';
 
 let messagesContainer;
 let messageInput;
 let sendButton;
 let micButton;
 let voiceToggle;
+let stopButton;
+let activeReply = null;
 
 /**
  * Initialize AI chat
@@ -24,6 +28,7 @@ export function init() {
   sendButton = document.getElementById('send-button');
   micButton = document.getElementById('mic-button');
   voiceToggle = document.getElementById('voice-toggle');
+  stopButton = document.getElementById('stop-button');
 
   if (!messagesContainer || !messageInput || !sendButton) {
     console.error('Chat elements not found');
@@ -33,6 +38,10 @@ export function init() {
   // Event listeners
   sendButton.addEventListener('click', handleSendMessage);
 
+  if (stopButton) {
+    stopButton.addEventListener('click', stopGeneration);
+  }
+
   messageInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -58,6 +67,11 @@ export function init() {
 
   // Display welcome message
   displayWelcomeMessage();
+
+  // Replay actions confirmed while offline
+  window.addEventListener('offline-queue', handleQueueEvent);
+  offlineQueue.init();
+  displayPendingActions();
 }
 
 /**
@@ -73,13 +87,25 @@ function displayWelcomeMessage() {
   );
 }
 
+/**
+ * Remind about actions still waiting for connectivity
+ */
+function displayPendingActions() {
+  const pending = offlineQueue.getPending(auth.getCurrentUserId(), 'ai_action');
+
+  pending.forEach(entry => {
+    addMessage(`⏳ Ожидает синхронизации: «${escapeHtml(entry.payload.title || entry.payload.type)}»`, 'assistant', { pending: entry.id });
+  });
+}
+
 /**
  * Handle send message
+ * Streams the reply into the chat bubble and speaks it sentence by sentence
  */
 async function handleSendMessage() {
   const message = messageInput.value.trim();
 
-  if (!message) return;
+  if (!message || activeReply) return;
 
   // Clear input
   messageInput.value = '';
@@ -87,34 +113,90 @@ async function handleSendMessage() {
   // Display user message
   addMessage(message, 'user');
 
-  // Show typing indicator
+  // Show typing indicator until the first token arrives
   const typingId = showTypingIndicator();
 
+  const controller = new AbortController();
+  const speaker = speech.getSpeechEnabled() ? speech.createSpeechStream() : null;
+  let contentEl = null;
+  let response = null;
+
+  activeReply = { controller, speaker };
+  setGenerating(true);
+
   try {
     const userId = auth.getCurrentUserId();
-    const response = await api.sendAIMessage(userId, message);
 
-    // Remove typing indicator
-    removeTypingIndicator(typingId);
+    response = await api.streamAIMessage(userId, message, {
+      signal: controller.signal,
+      onToken: (chunk, fullText) => {
+        if (!contentEl) {
+          removeTypingIndicator(typingId);
+          contentEl = addMessage('', 'assistant');
+        }
 
-    // Display assistant response
-    addMessage(response.text, 'assistant');
+        contentEl.textContent = fullText;
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
 
-    // Speak response if voice enabled
-    if (speech.getSpeechEnabled()) {
-      speech.speak(response.text);
-    }
+        if (speaker) speaker.push(chunk);
+      }
+    });
+
+    removeTypingIndicator(typingId);
 
-    // Handle suggested action
-    if (response.suggested_action) {
-      await handleSuggestedAction(response.suggested_action);
+    if (!contentEl) {
+      contentEl = addMessage('', 'assistant');
     }
+    contentEl.textContent = response.text;
+
+    if (speaker) speaker.end();
 
   } catch (error) {
-    console.error('Failed to send message:', error);
     removeTypingIndicator(typingId);
+    if (speaker) speaker.cancel();
+
+    if (api.isAbortError(error)) {
+      if (contentEl) {
+        contentEl.textContent += ' …';
+      }
+      addMessage('Генерация остановлена.', 'assistant');
+      return;
+    }
+
+    console.error('Failed to send message:', error);
     addMessage('Извините, произошла ошибка. Попробуйте снова.', 'assistant');
+    return;
+
+  } finally {
+    activeReply = null;
+    setGenerating(false);
   }
+
+  // Handle suggested action
+  if (response.suggested_action) {
+    await handleSuggestedAction(response.suggested_action);
+  }
+}
+
+/**
+ * Stop the reply currently being generated
+ */
+function stopGeneration() {
+  if (!activeReply) return;
+
+  activeReply.controller.abort();
+  if (activeReply.speaker) activeReply.speaker.cancel();
+}
+
+/**
+ * Toggle between send and stop buttons
+ * @param {boolean} generating 
+ */
+function setGenerating(generating) {
+  if (!stopButton) return;
+
+  sendButton.style.display = generating ? 'none' : '';
+  stopButton.style.display = generating ? '' : 'none';
 }
 
 /**
@@ -150,10 +232,16 @@ function handleMicClick() {
  * Add message to chat
  * @param {string} text 
  * @param {string} type - 'user' or 'assistant'
+ * @param {Object} options - {pending: queue entry id the message waits for}
+ * @returns {HTMLElement} - Message content element
  */
-function addMessage(text, type) {
+function addMessage(text, type, options = {}) {
   const messageEl = document.createElement('div');
   messageEl.className = `message message-${type} slide-up`;
+  if (options.pending) {
+    messageEl.dataset.pendingId = options.pending;
+    messageEl.style.opacity = '0.7';
+  }
   messageEl.innerHTML = `
     <div class="message-content">
       ${text}
@@ -163,6 +251,8 @@ function addMessage(text, type) {
 
   messagesContainer.appendChild(messageEl);
   messagesContainer.scrollTop = messagesContainer.scrollHeight;
+
+  return messageEl.querySelector('.message-content');
 }
 
 /**
@@ -214,30 +304,76 @@ async function handleSuggestedAction(action) {
   );
 
   if (confirmed) {
-    try {
-      const userId = auth.getCurrentUserId();
-      const result = await api.executeAIAction(userId, action);
-
-      if (result.success) {
-        ui.showToast('Действие выполнено успешно', 'success');
-        addMessage('Действие выполнено успешно!', 'assistant');
+    const userId = auth.getCurrentUserId();
+    const idempotencyKey = api.generateIdempotencyKey();
 
-        // Trigger dashboard refresh if on dashboard page
-        if (window.location.pathname.includes('dashboard.html')) {
-          window.dispatchEvent(new Event('dashboard-refresh'));
-        }
-      } else {
-        ui.showToast('Не удалось выполнить действие', 'error');
-        addMessage('Извините, не удалось выполнить действие.', 'assistant');
-      }
+    try {
+      const result = await api.executeAIAction(userId, action, idempotencyKey);
+      showActionResult(result);
     } catch (error) {
       console.error('Failed to execute action:', error);
-      ui.showToast('Ошибка выполнения действия', 'error');
+
+      if (offlineQueue.isOfflineError(error)) {
+        // Same key on replay, in case the request did reach the server
+        const entry = offlineQueue.enqueue('ai_action', userId, action, idempotencyKey);
+        ui.showToast('Нет соединения. Действие будет выполнено позже', 'warning');
+        addMessage('⏳ Нет соединения. Действие будет выполнено после восстановления связи.', 'assistant', { pending: entry.id });
+        return;
+      }
+
+      ui.showToast(api.getErrorMessage(error, 'Ошибка выполнения действия'), 'error');
       addMessage('Произошла ошибка при выполнении действия.', 'assistant');
     }
   }
 }
 
+/**
+ * Show result of executed AI action
+ * @param {{success: boolean}} result 
+ */
+function showActionResult(result) {
+  if (result.success) {
+    ui.showToast('Действие выполнено успешно', 'success');
+    addMessage('Действие выполнено успешно!', 'assistant');
+
+    // Trigger dashboard refresh if on dashboard page
+    if (window.location.pathname.includes('dashboard.html')) {
+      window.dispatchEvent(new Event('dashboard-refresh'));
+    }
+  } else {
+    ui.showToast('Не удалось выполнить действие', 'error');
+    addMessage('Извините, не удалось выполнить действие.', 'assistant');
+  }
+}
+
+/**
+ * Handle offline queue replay results
+ * @param {CustomEvent} event 
+ */
+function handleQueueEvent(event) {
+  const { status, entry, result, error } = event.detail;
+
+  if (entry.type !== 'ai_action' || status === 'queued') return;
+
+  const pendingEl = messagesContainer.querySelector(`[data-pending-id="${entry.id}"]`);
+  if (pendingEl) {
+    pendingEl.style.opacity = '';
+    delete pendingEl.dataset.pendingId;
+  }
+
+  if (status === 'synced') {
+    showActionResult(result);
+    return;
+  }
+
+  const message = status === 'conflict'
+    ? api.getErrorMessage(error, 'Действие конфликтует с изменениями на сервере и не было выполнено.')
+    : api.getErrorMessage(error, 'Не удалось выполнить отложенное действие.');
+
+  ui.showToast(message, 'error', 6000);
+  addMessage(message, 'assistant');
+}
+
 export default {
   init
 };
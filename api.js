@@ -4,84 +4,15 @@
  * Supports mock mode for development without backend
  */
 
+import { generateId } from 'utils.js';
+import * as cache from 'cache.js';
+import * as mockServer from 'mock_server.js';
+import * as schemas from 'schemas.js';
+
 // Configuration
 let BASE_URL = 'http://127.0.0.1:5000'; // Replace with actual backend URL
 let USE_MOCK = false; // Toggle mock mode
 
-// Mock data for development
-const MOCK_DATA = {
-  user: {
-    id: 1,
-    name: 'John Doe',
-    email: 'john@example.com',
-    balance: 250000
-  },
-
-  token: 'mock_jwt_token_12345',
-
-  goals: [
-    {
-      id: 1,
-      title: 'Emergency Fund',
-      target_amount: 100000,
-      current_amount: 75000,
-      deadline: '2025-12-31',
-      created_at: '2025-01-15'
-    },
-    {
-      id: 2,
-      title: 'New Car',
-      target_amount: 500000,
-      current_amount: 250000,
-      deadline: '2026-06-30',
-      created_at: '2025-02-01'
-    },
-    {
-      id: 3,
-      title: 'Vacation to Dubai',
-      target_amount: 200000,
-      current_amount: 50000,
-      deadline: '2025-09-01',
-      created_at: '2025-03-10'
-    }
-  ],
-
-  transactions: [
-    { id: 1, date: '2025-10-18', description: 'Salary Deposit', amount: 150000, type: 'credit' },
-    { id: 2, date: '2025-10-17', description: 'Grocery Shopping', amount: -15000, type: 'debit' },
-    { id: 3, date: '2025-10-16', description: 'Utility Bills', amount: -8500, type: 'debit' },
-    { id: 4, date: '2025-10-15', description: 'Online Purchase', amount: -25000, type: 'debit' },
-    { id: 5, date: '2025-10-14', description: 'Transfer from Savings', amount: 50000, type: 'credit' }
-  ],
-
-  aiResponses: {
-    'баланс': {
-      text: 'Ваш текущий баланс составляет 250,000 ₸. У вас есть 3 активные финансовые цели.',
-      suggested_action: null
-    },
-    'помоги с целями': {
-      text: 'У вас 3 финансовые цели. Рекомендую увеличить ежемесячные взносы на Emergency Fund на 10,000 ₸.',
-      suggested_action: {
-        type: 'update_goal_contribution',
-        goal_id: 1,
-        amount: 10000,
-        title: 'Увеличить взнос на Emergency Fund',
-        description: 'Увеличить ежемесячный взнос с текущего до 10,000 ₸ для достижения цели быстрее.'
-      }
-    },
-    'создай новую цель': {
-      text: 'Хорошо! Давайте создадим новую финансовую цель. Какую сумму вы хотите накопить?',
-      suggested_action: null
-    }
-  },
-
-  logs: [
-    { id: 1, user_id: 1, action_type: 'update_goal_contribution', timestamp: '2025-10-18 14:30:00', status: 'completed' },
-    { id: 2, user_id: 1, action_type: 'create_goal', timestamp: '2025-10-17 10:15:00', status: 'completed' },
-    { id: 3, user_id: 2, action_type: 'balance_check', timestamp: '2025-10-16 16:45:00', status: 'completed' }
-  ]
-};
-
 /**
  * Set base URL for API
  * @param {string} url - New base URL
@@ -92,10 +23,19 @@ export function setBaseUrl(url) {
 
 /**
  * Toggle mock mode
+ * While it is on, the mock server's QA controls are available as
+ * `window.mockServer` in the browser console.
  * @param {boolean} useMock - Enable/disable mock mode
  */
 export function setMockMode(useMock) {
   USE_MOCK = useMock;
+
+  if (useMock) {
+    const { setScenario, getScenario, reset, getState, simulateTransaction, setAccessTokenTtl, SCENARIOS } = mockServer;
+    window.mockServer = { setScenario, getScenario, reset, getState, simulateTransaction, setAccessTokenTtl, SCENARIOS };
+  } else {
+    delete window.mockServer;
+  }
 }
 
 /**
@@ -118,70 +58,703 @@ export function authHeaders() {
   };
 }
 
+// Pagination defaults
+const TRANSACTIONS_PAGE_SIZE = 20;
+const ADMIN_LOGS_PAGE_SIZE = 20;
+
+// Registered request middleware
+const middlewares = [];
+
+// Token refresh state
+let refreshPromise = null;
+let sessionExpiredHandler = null;
+let sessionExpired = false;
+
+// Request cancellation and deduplication state
+const ABORTED_CODE = 'aborted';
+const keyedControllers = new Map();
+const inflightGets = new Map();
+
+// Retry configuration
+const RETRYABLE_STATUSES = [408, 425, 429];
+const RETRY_CONFIG = {
+  retries: 3,
+  baseDelay: 300,
+  maxDelay: 5000
+};
+
 /**
- * Generic GET request
- * @param {string} path - API endpoint path
+ * Structured API error
+ * Carries HTTP status, server error code, field errors and request id
+ */
+export class ApiError extends Error {
+  /**
+   * @param {Object} details
+   * @param {number} details.status - HTTP status (0 for network failures)
+   * @param {string} details.message - Human readable message
+   * @param {string|null} details.code - Server error code
+   * @param {Object} details.fieldErrors - Map of field name to error message
+   * @param {string|null} details.requestId - Server request id for support
+   * @param {boolean} details.fromServer - Whether the message came from the server
+   * @param {number|null} details.retryAfter - Server-requested retry delay in ms
+   */
+  constructor({ status = 0, message = '', code = null, fieldErrors = {}, requestId = null, fromServer = false, retryAfter = null } = {}) {
+    super(message || (status ? `HTTP error! status: ${status}` : 'Network error'));
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.requestId = requestId;
+    this.fromServer = fromServer;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Request never reached the server (offline, DNS, CORS)
+   * @returns {boolean}
+   */
+  get isNetworkError() {
+    return this.status === 0 && !this.isAborted;
+  }
+
+  /**
+   * Request was cancelled by the caller or superseded by a newer one
+   * @returns {boolean}
+   */
+  get isAborted() {
+    return this.code === ABORTED_CODE;
+  }
+
+  /**
+   * Whether repeating the same request may succeed
+   * @returns {boolean}
+   */
+  get isRetryable() {
+    if (this.isAborted) return false;
+
+    return this.isNetworkError ||
+      RETRYABLE_STATUSES.includes(this.status) ||
+      (this.status >= 500 && this.status !== 501);
+  }
+}
+
+/**
+ * Override retry configuration
+ * @param {Object} config - Partial {retries, baseDelay, maxDelay}
+ */
+export function setRetryConfig(config) {
+  Object.assign(RETRY_CONFIG, config);
+}
+
+/**
+ * Generate a key for the Idempotency-Key header
+ * @returns {string}
+ */
+export function generateIdempotencyKey() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return generateId();
+}
+
+/**
+ * Get a user-facing message for a failed request
+ * @param {Error} error
+ * @param {string} fallback - Message when the server gave none
+ * @returns {string}
+ */
+export function getErrorMessage(error, fallback) {
+  if (error instanceof ApiError) {
+    if (error.isNetworkError) {
+      return 'Нет соединения с сервером';
+    }
+    if (error.fromServer) {
+      return error.message;
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Check whether a request failed only because it was cancelled
+ * Callers usually ignore these errors silently.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+  return error instanceof ApiError && error.isAborted;
+}
+
+/**
+ * Create error for a cancelled request
+ * @returns {ApiError}
+ */
+function abortError() {
+  return new ApiError({ status: 0, code: ABORTED_CODE, message: 'Request aborted' });
+}
+
+/**
+ * Wait, rejecting early if the signal aborts
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const timer = setTimeout(resolve, ms);
+
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
+}
+
+/**
+ * Build ApiError from a failed fetch response
+ * @param {Response} response
+ * @returns {Promise<ApiError>}
+ */
+async function parseErrorResponse(response) {
+  let data = null;
+
+  try {
+    data = await response.json();
+  } catch (e) {
+    // Body is empty or not JSON
+  }
+
+  const error = data && typeof data.error === 'object' && data.error !== null ? data.error : (data || {});
+  const message = error.message || (typeof data?.error === 'string' ? data.error : '');
+  const retryAfter = parseInt(response.headers.get('Retry-After'));
+
+  return new ApiError({
+    status: response.status,
+    message,
+    code: error.code || null,
+    fieldErrors: error.fields || error.errors || {},
+    requestId: response.headers.get('X-Request-Id') || error.request_id || data?.request_id || null,
+    fromServer: !!message,
+    retryAfter: isNaN(retryAfter) ? null : retryAfter * 1000
+  });
+}
+
+/**
+ * Delay before the next retry attempt (exponential backoff with jitter)
+ * @param {number} attempt - Zero-based attempt number
+ * @param {ApiError} error
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempt, error) {
+  if (error.retryAfter) {
+    return Math.min(error.retryAfter, RETRY_CONFIG.maxDelay);
+  }
+
+  const exponential = RETRY_CONFIG.baseDelay * Math.pow(2, attempt);
+  const jitter = Math.random() * RETRY_CONFIG.baseDelay;
+  return Math.min(exponential + jitter, RETRY_CONFIG.maxDelay);
+}
+
+/**
+ * Convert response to data or ApiError
+ * @param {Response} response
+ * @param {Object} options - Request options; `stream: true` returns the raw Response
  * @returns {Promise<any>}
  */
-export async function get(path) {
-  if (USE_MOCK) {
-    return mockGet(path);
+async function parseResponse(response, options = {}) {
+  if (!response.ok) {
+    throw await parseErrorResponse(response);
   }
 
+  if (options.stream) {
+    return response;
+  }
+
+  if (response.status === 204) {
+    return null;
+  }
+
+  return await response.json();
+}
+
+/**
+ * Terminal middleware: perform a single fetch and convert failures to ApiError
+ * @param {Object} ctx - Request context
+ * @returns {Promise<any>}
+ */
+async function fetchTransport(ctx) {
   try {
-    const response = await fetch(`${BASE_URL}${path}`, {
-      method: 'GET',
-      headers: authHeaders()
+    ctx.response = await fetch(`${BASE_URL}${ctx.path}`, {
+      method: ctx.method,
+      headers: ctx.headers,
+      body: ctx.body === undefined ? undefined : JSON.stringify(ctx.body),
+      signal: ctx.signal
     });
+  } catch (error) {
+    throw error.name === 'AbortError' ? abortError() : new ApiError({ status: 0, message: error.message });
+  }
+
+  return parseResponse(ctx.response, ctx.options);
+}
+
+/**
+ * Terminal middleware: answer from the in-browser mock server
+ * @param {Object} ctx - Request context
+ * @returns {Promise<any>}
+ */
+async function mockTransport(ctx) {
+  // Let offline mode be exercised without a backend
+  if (!navigator.onLine) {
+    throw new ApiError({ status: 0, message: 'Mock: browser is offline' });
+  }
+
+  ctx.response = await mockServer.handle(ctx);
+
+  if (ctx.signal?.aborted) {
+    throw abortError();
+  }
+
+  return parseResponse(ctx.response, ctx.options);
+}
 
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+/**
+ * Register request middleware
+ *
+ * A middleware is `async (ctx, next) => result`. It may mutate `ctx`
+ * (method, path, headers, body, options) before calling `next()`, transform
+ * the value `next()` resolves to, or catch the error it rejects with.
+ * Middleware runs in registration order on every attempt, including retries.
+ *
+ * @example
+ * api.use(async (ctx, next) => {
+ *   ctx.headers['Accept-Language'] = 'ru';
+ *   const data = await next();
+ *   return data.payload ?? data;
+ * });
+ *
+ * @param {Function} middleware 
+ * @returns {Function} Unregister function
+ */
+export function use(middleware) {
+  middlewares.push(middleware);
+
+  return () => {
+    const index = middlewares.indexOf(middleware);
+    if (index !== -1) {
+      middlewares.splice(index, 1);
     }
+  };
+}
 
-    return await response.json();
+/**
+ * Run request context through middleware chain and transport
+ * @param {Object} ctx - Request context
+ * @returns {Promise<any>}
+ */
+function runPipeline(ctx) {
+  const chain = [...middlewares, USE_MOCK ? mockTransport : fetchTransport];
+
+  const dispatch = (index) => {
+    let called = false;
+
+    return Promise.resolve(chain[index](ctx, () => {
+      if (called) {
+        return Promise.reject(new Error('next() called multiple times'));
+      }
+      called = true;
+      return dispatch(index + 1);
+    }));
+  };
+
+  return dispatch(0);
+}
+
+/**
+ * Send request with retries
+ * GET requests and requests with an Idempotency-Key are retried on
+ * network errors and retryable statuses; other requests are sent once.
+ * @param {string} method - HTTP method
+ * @param {string} path - API endpoint path
+ * @param {Object} [body] - Request body
+ * @param {Object} options - {idempotencyKey, retries, headers}
+ * @returns {Promise<any>}
+ */
+async function sendWithRetry(method, path, body, options) {
+  const baseHeaders = { ...authHeaders(), ...options.headers };
+
+  if (options.idempotencyKey) {
+    baseHeaders['Idempotency-Key'] = options.idempotencyKey;
+  }
+
+  const canRetry = method === 'GET' || !!baseHeaders['Idempotency-Key'];
+  const maxRetries = canRetry ? (options.retries ?? RETRY_CONFIG.retries) : 0;
+
+  for (let attempt = 0; ; attempt++) {
+    if (options.signal?.aborted) {
+      throw abortError();
+    }
+
+    const ctx = { method, path, body, headers: { ...baseHeaders }, options, signal: options.signal, attempt, response: null };
+
+    try {
+      return await runPipeline(ctx);
+    } catch (error) {
+      if (attempt >= maxRetries || !error.isRetryable) {
+        throw error;
+      }
+
+      await sleep(getRetryDelay(attempt, error), options.signal);
+    }
+  }
+}
+
+/**
+ * Send request, deduplicating identical GETs and cancelling superseded ones
+ *
+ * - `options.signal` cancels the request (rejects with an aborted ApiError)
+ * - `options.key` names a logical request; starting another request with the
+ *   same key aborts the previous one, so a slow stale response can't win
+ * - concurrent GETs to the same path and headers without signal or key share
+ *   one call; streaming GETs never do, as a response body can be read only once
+ *
+ * @param {string} method - HTTP method
+ * @param {string} path - API endpoint path
+ * @param {Object} [body] - Request body
+ * @param {Object} options - {idempotencyKey, retries, headers, signal, key, stream}
+ * @returns {Promise<any>}
+ */
+function request(method, path, body, options = {}) {
+  if (options.key) {
+    return requestWithKey(method, path, body, options);
+  }
+
+  if (method !== 'GET' || options.signal || options.stream) {
+    return sendWithRefresh(method, path, body, options);
+  }
+
+  const dedupeKey = `${path}|${localStorage.getItem('access_token')}|${JSON.stringify(options.headers || {})}`;
+
+  if (!inflightGets.has(dedupeKey)) {
+    inflightGets.set(dedupeKey, sendWithRefresh(method, path, body, options).finally(() => {
+      inflightGets.delete(dedupeKey);
+    }));
+  }
+
+  return inflightGets.get(dedupeKey);
+}
+
+/**
+ * Send request that supersedes any in-flight request with the same key
+ * @param {string} method - HTTP method
+ * @param {string} path - API endpoint path
+ * @param {Object} [body] - Request body
+ * @param {Object} options - Request options with `key`
+ * @returns {Promise<any>}
+ */
+async function requestWithKey(method, path, body, options) {
+  abortRequest(options.key);
+
+  const controller = new AbortController();
+  keyedControllers.set(options.key, controller);
+
+  // Caller's own signal still cancels the request
+  if (options.signal) {
+    if (options.signal.aborted) {
+      controller.abort();
+    } else {
+      options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+  }
+
+  try {
+    return await sendWithRefresh(method, path, body, { ...options, signal: controller.signal });
+  } finally {
+    if (keyedControllers.get(options.key) === controller) {
+      keyedControllers.delete(options.key);
+    }
+  }
+}
+
+/**
+ * Abort in-flight request started with `options.key`
+ * @param {string} key 
+ */
+export function abortRequest(key) {
+  const controller = keyedControllers.get(key);
+
+  if (controller) {
+    controller.abort();
+    keyedControllers.delete(key);
+  }
+}
+
+/**
+ * Send request, refreshing the access token once on 401
+ * @param {string} method - HTTP method
+ * @param {string} path - API endpoint path
+ * @param {Object} [body] - Request body
+ * @param {Object} options - {idempotencyKey, retries, headers, signal}
+ * @returns {Promise<any>}
+ */
+async function sendWithRefresh(method, path, body, options) {
+  // Don't send a token that is about to be replaced
+  if (refreshPromise) {
+    await refreshPromise.catch(() => {});
+  }
+
+  const sentToken = localStorage.getItem('access_token');
+
+  try {
+    return await sendWithRetry(method, path, body, options);
   } catch (error) {
-    console.error('GET request failed:', error);
-    throw error;
+    if (error.isAborted) {
+      throw error;
+    }
+
+    if (error.status !== 401 || path.startsWith('/auth/')) {
+      console.error(`${method} request failed:`, error);
+      throw error;
+    }
+
+    // Another request may have already refreshed the token while this one was in flight
+    if (localStorage.getItem('access_token') === sentToken) {
+      try {
+        await refreshSession();
+      } catch (refreshError) {
+        console.error('Session refresh failed:', refreshError);
+        expireSession();
+        throw error;
+      }
+    }
+
+    try {
+      return await sendWithRetry(method, path, body, options);
+    } catch (retryError) {
+      if (!retryError.isAborted) {
+        console.error(`${method} request failed after token refresh:`, retryError);
+      }
+      throw retryError;
+    }
   }
 }
 
+/**
+ * Exchange the refresh token for a new access token
+ * Concurrent callers share one in-flight refresh request.
+ * Dispatches `session-refreshed` on window when the new token is stored.
+ * @returns {Promise<string>} New access token
+ */
+export function refreshSession() {
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+
+  const refreshToken = localStorage.getItem('refresh_token');
+
+  if (!refreshToken) {
+    return Promise.reject(new ApiError({ status: 401, code: 'no_refresh_token', message: 'No refresh token' }));
+  }
+
+  refreshPromise = runPipeline({
+    method: 'POST',
+    path: '/auth/refresh',
+    body: { refresh_token: refreshToken },
+    headers: { 'Content-Type': 'application/json' },
+    options: {},
+    attempt: 0,
+    response: null
+  })
+    .then(data => {
+      const response = schemas.validate(schemas.tokenRefresh, data, 'POST /auth/refresh');
+      localStorage.setItem('access_token', response.access_token);
+      if (response.refresh_token) {
+        localStorage.setItem('refresh_token', response.refresh_token);
+      }
+
+      window.dispatchEvent(new CustomEvent('session-refreshed', {
+        detail: { access_token: response.access_token }
+      }));
+      return response.access_token;
+    })
+    .catch(error => {
+      // Another tab refreshed first and rotated the refresh token: use its tokens
+      const accessToken = localStorage.getItem('access_token');
+      if (error.status === 401 && accessToken && localStorage.getItem('refresh_token') !== refreshToken) {
+        return accessToken;
+      }
+      throw error;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+}
+
+/**
+ * Register handler called once when the session cannot be refreshed
+ * @param {Function} handler 
+ */
+export function onSessionExpired(handler) {
+  sessionExpiredHandler = handler;
+}
+
+/**
+ * Notify the session expired handler (once per page load)
+ */
+function expireSession() {
+  if (sessionExpired) return;
+  sessionExpired = true;
+
+  if (sessionExpiredHandler) {
+    sessionExpiredHandler();
+  }
+}
+
+/**
+ * Generic GET request
+ * @param {string} path - API endpoint path
+ * @param {Object} options - Request options {retries, headers, signal, key}
+ * @returns {Promise<any>}
+ */
+export async function get(path, options = {}) {
+  return request('GET', path, undefined, options);
+}
+
 /**
  * Generic POST request
  * @param {string} path - API endpoint path
  * @param {Object} body - Request body
+ * @param {Object} options - Request options {idempotencyKey, retries, headers, signal, key}
+ * @returns {Promise<any>}
+ */
+export async function post(path, body, options = {}) {
+  return request('POST', path, body, options);
+}
+
+/**
+ * Generic PUT request
+ * @param {string} path - API endpoint path
+ * @param {Object} body - Full resource representation
+ * @param {Object} options - Request options {idempotencyKey, retries, headers, signal, key}
+ * @returns {Promise<any>}
+ */
+export async function put(path, body, options = {}) {
+  return request('PUT', path, body, options);
+}
+
+/**
+ * Generic PATCH request
+ * @param {string} path - API endpoint path
+ * @param {Object} body - Fields to update
+ * @param {Object} options - Request options {idempotencyKey, retries, headers, signal, key}
  * @returns {Promise<any>}
  */
-export async function post(path, body) {
-  if (USE_MOCK) {
-    return mockPost(path, body);
+export async function patch(path, body, options = {}) {
+  return request('PATCH', path, body, options);
+}
+
+/**
+ * Generic DELETE request
+ * Named `del` because `delete` is reserved; exposed as `delete` on the default export
+ * @param {string} path - API endpoint path
+ * @param {Object} options - Request options {idempotencyKey, retries, headers, signal, key}
+ * @returns {Promise<any>}
+ */
+export async function del(path, options = {}) {
+  return request('DELETE', path, undefined, options);
+}
+
+/**
+ * Stale-while-revalidate GET
+ * Calls onData with the cached response first (if any), then with the fresh
+ * one. When revalidation fails and a cached copy exists, onData is called
+ * again with `stale: true` instead of rejecting.
+ * @param {number} userId - Cache scope
+ * @param {string} path - API endpoint path
+ * @param {Function} onData - (data, {fromCache, stale, updatedAt}) => void
+ * @param {Object} options - Request options {signal, key}
+ * @returns {Promise<any>} Fresh data, or cached data when offline
+ */
+export async function getWithCache(userId, path, onData, options = {}) {
+  const cached = await cache.read(userId, path);
+
+  if (cached) {
+    onData(cached.data, { fromCache: true, stale: !navigator.onLine, updatedAt: cached.updated_at });
   }
 
   try {
-    const response = await fetch(`${BASE_URL}${path}`, {
-      method: 'POST',
-      headers: authHeaders(),
-      body: JSON.stringify(body)
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+    const data = await get(path, options);
+    await cache.write(userId, path, data);
+    onData(data, { fromCache: false, stale: false, updatedAt: Date.now() });
+    return data;
+  } catch (error) {
+    if (!cached || error.isAborted) {
+      throw error;
     }
 
-    return await response.json();
-  } catch (error) {
-    console.error('POST request failed:', error);
-    throw error;
+    console.warn(`Revalidation of ${path} failed, using cached data:`, error);
+    onData(cached.data, { fromCache: true, stale: true, updatedAt: cached.updated_at });
+    return cached.data;
   }
 }
 
+/**
+ * Remove cached responses
+ * @param {number} [userId] - Only this user's responses; everything if omitted
+ * @returns {Promise<void>}
+ */
+export function clearCache(userId) {
+  return cache.clear(userId);
+}
+
 /**
  * Login user
+ * Users with two-factor authentication get a challenge instead of a
+ * session; complete it with verifyOtp() or loginWithRecoveryCode().
  * @param {string} email 
  * @param {string} password 
- * @returns {Promise<{user_id: number, access_token: string}>}
+ * @returns {Promise<Object>} Session {user_id, access_token, ...} or
+ *   challenge {otp_required: true, challenge_id, method, destination, attempts_left, resend_in}
  */
 export async function login(email, password) {
-  return post('/auth/login', { email, password });
+  return schemas.validate(schemas.loginResult, await post('/auth/login', { email, password }), 'POST /auth/login');
+}
+
+/**
+ * Complete login with one-time code
+ * @param {string} challengeId 
+ * @param {string} code 
+ * @returns {Promise<{user_id: number, access_token: string}>}
+ */
+export async function verifyOtp(challengeId, code) {
+  const response = await post('/auth/otp/verify', { challenge_id: challengeId, code });
+  return schemas.validate(schemas.authSession, response, 'POST /auth/otp/verify');
+}
+
+/**
+ * Send one-time code again
+ * @param {string} challengeId 
+ * @returns {Promise<{resend_in: number}>} Seconds until the next resend is allowed
+ */
+export async function resendOtp(challengeId) {
+  return schemas.validate(schemas.otpResend, await post('/auth/otp/resend', { challenge_id: challengeId }), 'POST /auth/otp/resend');
+}
+
+/**
+ * Complete login with single-use recovery code instead of one-time code
+ * @param {string} challengeId 
+ * @param {string} recoveryCode 
+ * @returns {Promise<{user_id: number, access_token: string, recovery_codes_left: number}>}
+ */
+export async function loginWithRecoveryCode(challengeId, recoveryCode) {
+  const response = await post('/auth/otp/recovery', { challenge_id: challengeId, recovery_code: recoveryCode });
+  return schemas.validate(schemas.authSession, response, 'POST /auth/otp/recovery');
 }
 
 /**
@@ -190,7 +763,110 @@ export async function login(email, password) {
  * @returns {Promise<{user_id: number, access_token: string}>}
  */
 export async function register(userData) {
-  return post('/auth/register', userData);
+  return schemas.validate(schemas.authSession, await post('/auth/register', userData), 'POST /auth/register');
+}
+
+/**
+ * Email a password reset link
+ * The response is the same whether or not the account exists.
+ * @param {string} email 
+ * @returns {Promise<{sent: boolean}>}
+ */
+export async function requestPasswordReset(email) {
+  return schemas.validate(schemas.emailSent, await post('/auth/password/forgot', { email }), 'POST /auth/password/forgot');
+}
+
+/**
+ * Set new password using token from the reset link
+ * All sessions of the user are ended.
+ * @param {string} token 
+ * @param {string} password 
+ * @returns {Promise<{success: boolean}>}
+ */
+export async function resetPassword(token, password) {
+  return schemas.validate(schemas.passwordReset, await post('/auth/password/reset', { token, password }), 'POST /auth/password/reset');
+}
+
+/**
+ * Confirm email using token from the verification link
+ * @param {string} token 
+ * @returns {Promise<{user: Object}>}
+ */
+export async function verifyEmail(token) {
+  return schemas.validate(schemas.emailVerification, await post('/auth/email/verify', { token }), 'POST /auth/email/verify');
+}
+
+/**
+ * Send email verification link again
+ * @param {number} userId 
+ * @returns {Promise<{sent: boolean, resend_in: number}>}
+ */
+export async function resendVerificationEmail(userId) {
+  const response = await post(`/users/${userId}/email/verification`, {});
+  return schemas.validate(schemas.emailSent, response, 'POST /users/:id/email/verification');
+}
+
+/**
+ * Get profile of user
+ * @param {number} userId 
+ * @param {Object} options - {signal, key}
+ * @returns {Promise<Object>} User
+ */
+export async function getProfile(userId, options = {}) {
+  return schemas.validate(schemas.user, await get(`/users/${userId}/profile`, options), 'GET /users/:id/profile');
+}
+
+/**
+ * Update name and/or email
+ * A changed email has to be confirmed again.
+ * @param {number} userId 
+ * @param {Object} updates - {name, email}
+ * @returns {Promise<Object>} Updated user
+ */
+export async function updateProfile(userId, updates) {
+  return schemas.validate(schemas.user, await patch(`/users/${userId}/profile`, updates), 'PATCH /users/:id/profile');
+}
+
+/**
+ * Change password
+ * Sessions on other devices are ended.
+ * @param {number} userId 
+ * @param {string} currentPassword 
+ * @param {string} newPassword 
+ * @returns {Promise<{success: boolean}>}
+ */
+export async function changePassword(userId, currentPassword, newPassword) {
+  const response = await post(`/users/${userId}/password`, { current_password: currentPassword, new_password: newPassword });
+  return schemas.validate(schemas.passwordChange, response, 'POST /users/:id/password');
+}
+
+/**
+ * Get active sessions (devices) of user
+ * @param {number} userId 
+ * @param {Object} options - {signal, key}
+ * @returns {Promise<Array<{id: string, device: string, created_at: string, last_used_at: string, current: boolean}>>}
+ */
+export async function getSessions(userId, options = {}) {
+  return schemas.validate(schemas.sessionList, await get(`/users/${userId}/sessions`, options), 'GET /users/:id/sessions');
+}
+
+/**
+ * End session on another device
+ * @param {number} userId 
+ * @param {string} sessionId 
+ * @returns {Promise<{revoked: number}>}
+ */
+export async function revokeSession(userId, sessionId) {
+  return schemas.validate(schemas.sessionRevocation, await del(`/users/${userId}/sessions/${sessionId}`), 'DELETE /users/:id/sessions/:id');
+}
+
+/**
+ * End all sessions except the current one
+ * @param {number} userId 
+ * @returns {Promise<{revoked: number}>}
+ */
+export async function revokeOtherSessions(userId) {
+  return schemas.validate(schemas.sessionRevocation, await del(`/users/${userId}/sessions`), 'DELETE /users/:id/sessions');
 }
 
 /**
@@ -200,17 +876,129 @@ export async function register(userData) {
  * @returns {Promise<{text: string, suggested_action?: Object}>}
  */
 export async function sendAIMessage(userId, message) {
-  return post('/ai/message', { user_id: userId, message });
+  return schemas.validate(schemas.aiReply, await post('/ai/message', { user_id: userId, message }), 'POST /ai/message');
+}
+
+/**
+ * Read server-sent events from a streaming response
+ * @param {Response} response 
+ * @param {Function} onEvent - (eventName, data) => void
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+async function readEventStream(response, onEvent, signal) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let eventName = 'message';
+    const dataLines = [];
+
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    });
+
+    if (dataLines.length === 0) return;
+
+    let data;
+    try {
+      data = JSON.parse(dataLines.join('\n'));
+    } catch (error) {
+      throw new ApiError({ status: response.status, code: 'invalid_event', message: `Malformed "${eventName}" event: ${error.message}` });
+    }
+
+    onEvent(eventName, data);
+  };
+
+  try {
+    while (true) {
+      if (signal?.aborted) {
+        throw abortError();
+      }
+
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        dispatch(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+      }
+    }
+
+    if (buffer.trim()) {
+      dispatch(buffer);
+    }
+  } catch (error) {
+    // Stop the server stream; the body stays locked to the reader otherwise
+    reader.cancel().catch(() => {});
+
+    if (error.name === 'AbortError' || signal?.aborted) {
+      throw abortError();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Send message to AI and receive the reply token by token
+ *
+ * The server answers with server-sent events: `token` events carry
+ * `{text}` chunks, a final `done` event carries `{text, suggested_action}`
+ * and an `error` event carries `{code, message}`. Servers that don't stream
+ * may answer with plain JSON, which is delivered as a single token.
+ *
+ * @param {number} userId 
+ * @param {string} message 
+ * @param {Object} options - {onToken: (chunk, fullText) => void, signal}
+ * @returns {Promise<{text: string, suggested_action?: Object}>}
+ */
+export async function streamAIMessage(userId, message, { onToken = () => {}, signal } = {}) {
+  const response = await post('/ai/message', { user_id: userId, message, stream: true }, {
+    stream: true,
+    signal,
+    headers: { 'Accept': 'text/event-stream' }
+  });
+
+  if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+    const result = schemas.validate(schemas.aiReply, await response.json(), 'POST /ai/message');
+    onToken(result.text, result.text);
+    return result;
+  }
+
+  let text = '';
+  let result = null;
+
+  await readEventStream(response, (event, data) => {
+    if (event === 'token') {
+      text += data.text;
+      onToken(data.text, text);
+    } else if (event === 'done') {
+      result = data;
+    } else if (event === 'error') {
+      throw new ApiError({ status: response.status, code: data.code, message: data.message, fromServer: !!data.message });
+    }
+  }, signal);
+
+  return schemas.validate(schemas.aiReply, result || { text, suggested_action: null }, 'POST /ai/message');
 }
 
 /**
  * Execute AI suggested action
  * @param {number} userId 
  * @param {Object} action 
+ * @param {string} idempotencyKey - Reuse to make repeated calls safe
  * @returns {Promise<{success: boolean, result: any}>}
  */
-export async function executeAIAction(userId, action) {
-  return post('/ai/execute', { user_id: userId, action });
+export async function executeAIAction(userId, action, idempotencyKey = generateIdempotencyKey()) {
+  return schemas.validate(schemas.aiActionResult, await post('/ai/execute', { user_id: userId, action }, { idempotencyKey }), 'POST /ai/execute');
 }
 
 /**
@@ -219,116 +1007,286 @@ export async function executeAIAction(userId, action) {
  * @returns {Promise<Array>}
  */
 export async function getUserGoals(userId) {
-  return get(`/users/${userId}/goals`);
+  return schemas.validate(schemas.goalList, await get(`/users/${userId}/goals`), 'GET /users/:id/goals');
+}
+
+/**
+ * Get user goals from cache, then from network
+ * @param {number} userId 
+ * @param {Function} onData - (goals, {fromCache, stale, updatedAt}) => void
+ * @param {Object} options - Request options {signal, key}
+ * @returns {Promise<Array>}
+ */
+export async function watchUserGoals(userId, onData, options = {}) {
+  const validateGoals = (goals) => schemas.validate(schemas.goalList, goals, 'GET /users/:id/goals');
+  const data = await getWithCache(userId, `/users/${userId}/goals`, (goals, meta) => onData(validateGoals(goals), meta), options);
+  return validateGoals(data);
+}
+
+/**
+ * Get money moved into and out of the user's goals
+ * Withdrawals have a negative amount.
+ * @param {number} userId 
+ * @param {Object} options - {signal, key}
+ * @returns {Promise<Array<{goal_id: number, date: string, amount: Object}>>} Amounts in goal currency
+ */
+export async function getGoalContributions(userId, options = {}) {
+  const response = await get(`/users/${userId}/goal-contributions`, options);
+  return schemas.validate(schemas.goalContributionList, response, 'GET /users/:id/goal-contributions');
 }
 
 /**
  * Create new goal
  * @param {number} userId 
- * @param {Object} goalData 
+ * @param {Object} goalData - {title, target_amount: money, deadline}
+ * @param {string} idempotencyKey - Reuse to make repeated calls safe
  * @returns {Promise<Object>}
  */
-export async function createGoal(userId, goalData) {
-  return post(`/users/${userId}/goals`, goalData);
+export async function createGoal(userId, goalData, idempotencyKey = generateIdempotencyKey()) {
+  return schemas.validate(schemas.goal, await post(`/users/${userId}/goals`, goalData, { idempotencyKey }), 'POST /users/:id/goals');
 }
 
 /**
- * Get user transactions
+ * Update goal fields (title, target_amount, deadline)
  * @param {number} userId 
- * @returns {Promise<Array>}
+ * @param {number} goalId 
+ * @param {Object} updates 
+ * @returns {Promise<Object>} Updated goal
  */
-export async function getUserTransactions(userId) {
-  return get(`/users/${userId}/transactions`);
+export async function updateGoal(userId, goalId, updates) {
+  return schemas.validate(schemas.goal, await patch(`/users/${userId}/goals/${goalId}`, updates), 'PATCH /users/:id/goals/:goal_id');
 }
 
 /**
- * Get admin logs
- * @param {Object} filters - Filter parameters
- * @returns {Promise<Array>}
+ * Delete goal
+ * Remaining goal savings are returned to the balance by the server
+ * @param {number} userId 
+ * @param {number} goalId 
+ * @returns {Promise<{success: boolean, balance: Object}>} Balance as money
  */
-export async function getAdminLogs(filters = {}) {
-  const query = new URLSearchParams(filters).toString();
-  return get(`/admin/logs${query ? '?' + query : ''}`);
+export async function deleteGoal(userId, goalId) {
+  return schemas.validate(schemas.goalDeletion, await del(`/users/${userId}/goals/${goalId}`), 'DELETE /users/:id/goals/:goal_id');
 }
 
-// ============= MOCK FUNCTIONS =============
+/**
+ * Move money from balance into goal
+ * @param {number} userId 
+ * @param {number} goalId 
+ * @param {Object} amount - Money in the goal's currency
+ * @param {string} idempotencyKey - Reuse to make repeated calls safe
+ * @returns {Promise<{goal: Object, balance: Object}>} Balance as money
+ */
+export async function contributeToGoal(userId, goalId, amount, idempotencyKey = generateIdempotencyKey()) {
+  const response = await post(`/users/${userId}/goals/${goalId}/contribute`, { amount }, { idempotencyKey });
+  return schemas.validate(schemas.goalTransfer, response, 'POST /users/:id/goals/:goal_id/contribute');
+}
 
-function mockGet(path) {
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      if (path.includes('/goals')) {
-        resolve(MOCK_DATA.goals);
-      } else if (path.includes('/transactions')) {
-        resolve(MOCK_DATA.transactions);
-      } else if (path.includes('/admin/logs')) {
-        resolve(MOCK_DATA.logs);
-      } else {
-        resolve({ message: 'Mock GET response' });
-      }
-    }, 500);
-  });
+/**
+ * Move money from goal back to balance
+ * @param {number} userId 
+ * @param {number} goalId 
+ * @param {Object} amount - Money in the goal's currency
+ * @param {string} idempotencyKey - Reuse to make repeated calls safe
+ * @returns {Promise<{goal: Object, balance: Object}>} Balance as money
+ */
+export async function withdrawFromGoal(userId, goalId, amount, idempotencyKey = generateIdempotencyKey()) {
+  const response = await post(`/users/${userId}/goals/${goalId}/withdraw`, { amount }, { idempotencyKey });
+  return schemas.validate(schemas.goalTransfer, response, 'POST /users/:id/goals/:goal_id/withdraw');
 }
 
-function mockPost(path, body) {
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      if (path.includes('/auth/login')) {
-        resolve({
-          user_id: MOCK_DATA.user.id,
-          access_token: MOCK_DATA.token,
-          user: MOCK_DATA.user
-        });
-      } else if (path.includes('/auth/register')) {
-        resolve({
-          user_id: MOCK_DATA.user.id,
-          access_token: MOCK_DATA.token
-        });
-      } else if (path.includes('/ai/message')) {
-        const message = body.message.toLowerCase();
-        let response = MOCK_DATA.aiResponses['баланс'];
-
-        for (const [key, value] of Object.entries(MOCK_DATA.aiResponses)) {
-          if (message.includes(key.toLowerCase())) {
-            response = value;
-            break;
-          }
-        }
-
-        resolve(response);
-      } else if (path.includes('/ai/execute')) {
-        resolve({
-          success: true,
-          result: { message: 'Action executed successfully' }
-        });
-      } else if (path.includes('/goals')) {
-        const newGoal = {
-          id: MOCK_DATA.goals.length + 1,
-          ...body,
-          current_amount: 0,
-          created_at: new Date().toISOString().split('T')[0]
-        };
-        MOCK_DATA.goals.push(newGoal);
-        resolve(newGoal);
-      } else {
-        resolve({ message: 'Mock POST response' });
-      }
-    }, 500);
+/**
+ * Normalize and validate cursor-paginated response
+ * Plain arrays (unpaginated backends) are treated as a single last page.
+ * @param {Object|Array} response 
+ * @returns {{items: Array, next_cursor: string|null}}
+ */
+function toCursorPage(response) {
+  const page = Array.isArray(response)
+    ? { items: response, next_cursor: null }
+    : { ...response, next_cursor: response?.next_cursor ?? null };
+
+  return schemas.validate(schemas.transactionPage, page, 'GET /users/:id/transactions');
+}
+
+/**
+ * Build query string from params, skipping empty values
+ * @param {Object} params 
+ * @returns {string} Query string with leading "?" or empty string
+ */
+function buildQuery(params) {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+
+  return query ? `?${query}` : '';
+}
+
+/**
+ * Get one page of user transactions, newest first unless sorted otherwise
+ * Filters:
+ * - q: text contained in description
+ * - type: credit or debit
+ * - from, to: dates "YYYY-MM-DD", inclusive
+ * - min_amount, max_amount: bounds of the absolute amount in minor units of `currency` (default KZT);
+ *   transactions in other currencies are converted
+ * - sort: date, amount or description; order: asc or desc
+ * @param {number} userId 
+ * @param {Object} query - {cursor: value of previous next_cursor, limit, ...filters}
+ * @param {Object} options - Request options {signal, key}
+ * @returns {Promise<{items: Array, next_cursor: string|null}>}
+ */
+export async function getUserTransactions(userId, { cursor = null, limit = TRANSACTIONS_PAGE_SIZE, ...filters } = {}, options = {}) {
+  return toCursorPage(await get(`/users/${userId}/transactions${buildQuery({ ...filters, cursor, limit })}`, options));
+}
+
+/**
+ * Get first page of user transactions from cache, then from network
+ * @param {number} userId 
+ * @param {Function} onData - ({items, next_cursor}, {fromCache, stale, updatedAt}) => void
+ * @param {Object} options - Request options {signal, key}
+ * @returns {Promise<{items: Array, next_cursor: string|null}>}
+ */
+export async function watchUserTransactions(userId, onData, options = {}) {
+  const path = `/users/${userId}/transactions${buildQuery({ limit: TRANSACTIONS_PAGE_SIZE })}`;
+  const data = await getWithCache(userId, path, (response, meta) => onData(toCursorPage(response), meta), options);
+  return toCursorPage(data);
+}
+
+/**
+ * Get current account balance
+ * @param {number} userId 
+ * @param {Object} options - Request options {signal, key}
+ * @returns {Promise<{balance: Object}>} Balance as money {amount, currency}
+ */
+export async function getBalance(userId, options = {}) {
+  return schemas.validate(schemas.balance, await get(`/users/${userId}/balance`, options), 'GET /users/:id/balance');
+}
+
+/**
+ * Get account statement for a period
+ * Items are oldest first; account_amount is the amount in account currency.
+ * @param {number} userId 
+ * @param {Object} period - {from, to: dates "YYYY-MM-DD", inclusive}
+ * @param {Object} options - Request options {signal, key}
+ * @returns {Promise<Object>} {account, from, to, opening_balance, closing_balance, total_credit, total_debit, items, generated_at}
+ */
+export async function getStatement(userId, { from, to }, options = {}) {
+  const response = await get(`/users/${userId}/statement${buildQuery({ from, to })}`, options);
+  return schemas.validate(schemas.statement, response, 'GET /users/:id/statement');
+}
+
+/**
+ * Get exchange rates
+ * @param {string} base - Currency the rates are quoted against
+ * @param {Object} options - Request options {signal, key}
+ * @returns {Promise<{base: string, rates: Object, updated_at: string}>} Units of each currency per one `base`
+ */
+export async function getExchangeRates(base = 'KZT', options = {}) {
+  return schemas.validate(schemas.exchangeRates, await get(`/rates${buildQuery({ base })}`, options), 'GET /rates');
+}
+
+/**
+ * Listen to account events pushed by the server
+ *
+ * The server keeps a server-sent events stream open and sends `ready`
+ * (with the current balance) right after connecting, then `balance`,
+ * `transaction`, `goal` and `goal_deleted` events as the account changes.
+ * Resolves when the server closes the stream; reconnecting is up to the caller.
+ *
+ * @param {number} userId 
+ * @param {Function} onEvent - (eventName, data) => void
+ * @param {Object} options - {signal}
+ * @returns {Promise<void>}
+ */
+export async function subscribeUserEvents(userId, onEvent, { signal } = {}) {
+  const response = await get(`/users/${userId}/events`, {
+    stream: true,
+    signal,
+    retries: 0,
+    headers: { 'Accept': 'text/event-stream' }
   });
+
+  await readEventStream(response, (event, data) => {
+    const schema = schemas.userEvents[event];
+
+    if (!schema) {
+      console.warn(`Ignoring unknown account event: ${event}`);
+      return;
+    }
+
+    onEvent(event, schemas.validate(schema, data, `GET /users/:id/events (${event})`));
+  }, signal);
+}
+
+/**
+ * Get one page of admin logs
+ * @param {Object} filters - Filter parameters
+ * @param {Object} page - {page: 1-based page number, pageSize}
+ * @param {Object} options - Request options {signal, key}
+ * @returns {Promise<{items: Array, page: number, page_size: number, total: number}>}
+ */
+export async function getAdminLogs(filters = {}, { page = 1, pageSize = ADMIN_LOGS_PAGE_SIZE } = {}, options = {}) {
+  const response = await get(`/admin/logs${buildQuery({ ...filters, page, page_size: pageSize })}`, options);
+
+  const logs = Array.isArray(response)
+    ? { items: response, page: 1, page_size: response.length, total: response.length }
+    : response;
+
+  return schemas.validate(schemas.adminLogPage, logs, 'GET /admin/logs');
 }
 
 export default {
+  ApiError,
   setBaseUrl,
   setMockMode,
   isMockMode,
+  setRetryConfig,
+  generateIdempotencyKey,
+  getErrorMessage,
+  isAbortError,
+  abortRequest,
+  refreshSession,
+  onSessionExpired,
+  use,
   authHeaders,
+  getWithCache,
+  clearCache,
   get,
   post,
+  put,
+  patch,
+  delete: del,
   login,
+  verifyOtp,
+  resendOtp,
+  loginWithRecoveryCode,
   register,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  getProfile,
+  updateProfile,
+  changePassword,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   sendAIMessage,
+  streamAIMessage,
   executeAIAction,
   getUserGoals,
+  watchUserGoals,
+  getGoalContributions,
   createGoal,
+  updateGoal,
+  deleteGoal,
+  contributeToGoal,
+  withdrawFromGoal,
   getUserTransactions,
+  watchUserTransactions,
+  getBalance,
+  getStatement,
+  getExchangeRates,
+  subscribeUserEvents,
   getAdminLogs
 };
@@ -4,30 +4,208 @@
  */
 
 import * as api from 'api.js';
-import { showToast } from 'ui.js';
+import { showToast, showConfirmModal } from 'ui.js';
+import { showFieldErrors, showError, clearError } from 'validator.js';
+import * as offlineQueue from 'offline_queue.js';
+import * as realtime from 'realtime.js';
+import { getQueryParams } from 'utils.js';
+
+// Show the "session expires soon" warning this long before expiry
+const EXPIRY_WARNING_BEFORE = 2 * 60 * 1000;
+
+// Longest setTimeout delay; longer ones overflow and fire at once
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Log out after this long without user activity (0 disables)
+const DEFAULT_IDLE_TIMEOUT = 15 * 60 * 1000;
+const IDLE_CHECK_INTERVAL = 30 * 1000;
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart'];
+const LAST_ACTIVITY_KEY = 'last_activity';
+const IDLE_TIMEOUT_KEY = 'idle_timeout';
+
+// Protected pages and the roles allowed to open them (empty = any logged in user)
+const ROUTE_ROLES = {
+  'dashboard.html': [],
+  'ai_assistant.html': [],
+  'profile.html': [],
+  'admin_panel.html': ['admin']
+};
+
+// Query parameter of the login page with the page to open after login
+const RETURN_TO_PARAM = 'return_to';
+
+// Never used as a return target: they would lead back to the login form
+const AUTH_PAGES = ['login.html', 'register.html', 'reset_password.html', 'verify_email.html'];
+
+// Login, logout and token refresh are announced to the other open tabs
+const AUTH_CHANNEL = 'zaman_bank_auth';
+
+let warningTimer = null;
+let expiryTimer = null;
+let warningController = null;
+let idleTimer = null;
+let lastActivityWrite = 0;
+let authChannel = null;
+let sessionUserId = null;
+
+// Pending second factor step of the login form
+let otpChallenge = null;
+let otpMode = 'code';
+let resendTimer = null;
 
 /**
  * Initialize auth module
+ * @returns {boolean} Whether the current page may be shown; when false
+ *   the user is being redirected and page modules should not start
  */
 export function init() {
-  // Check if user is logged in on protected pages
-  const protectedPages = ['dashboard.html', 'admin_panel.html'];
   const currentPage = window.location.pathname.split('/').pop();
+  const requiredRoles = ROUTE_ROLES[currentPage];
+  let allowed = true;
+
+  // Log out when the API layer can no longer refresh the token
+  api.onSessionExpired(handleSessionExpired);
 
-  if (protectedPages.includes(currentPage) && !isLoggedIn()) {
-    window.location.href = 'login.html';
+  // Tokens refreshed by the API layer move the expiry
+  window.addEventListener('session-refreshed', () => {
+    scheduleExpiryWarning();
+    broadcastAuthChange('token-refreshed');
+  });
+
+  // Follow login/logout in other tabs
+  sessionUserId = getCurrentUserId();
+  startAuthSync();
+
+  // Check if user is logged in on protected pages
+  if (requiredRoles && !isLoggedIn()) {
+    if (localStorage.getItem('access_token') && localStorage.getItem('refresh_token')) {
+      // Expired access token: one silent refresh before giving up
+      restoreSession();
+    } else if (localStorage.getItem('access_token')) {
+      handleSessionExpired();
+      allowed = false;
+    } else {
+      window.location.href = getLoginUrl();
+      allowed = false;
+    }
+  } else if (isLoggedIn()) {
+    startSessionMonitors();
+  }
+
+  // Logged in, but without the role the page requires
+  if (allowed && requiredRoles && requiredRoles.length > 0 && !hasRole(...requiredRoles)) {
+    window.location.replace('access_denied.html');
+    allowed = false;
   }
 
   // Update UI based on auth state
   updateAuthUI();
+
+  return allowed;
+}
+
+/**
+ * Build login page URL that brings the user back to the current page
+ * @param {string|null} reason - Notice for the login page, e.g. "session_expired"
+ * @returns {string}
+ */
+export function getLoginUrl(reason = null) {
+  const returnTo = sanitizeReturnTo(window.location.pathname + window.location.search + window.location.hash);
+  const params = [];
+
+  if (reason) params.push(`reason=${encodeURIComponent(reason)}`);
+  if (returnTo) params.push(`${RETURN_TO_PARAM}=${encodeURIComponent(returnTo)}`);
+
+  return params.length ? `login.html?${params.join('&')}` : 'login.html';
+}
+
+/**
+ * Get page requested before login, from the login/register page URL
+ * @returns {string|null} Validated same-origin path, or null
+ */
+export function getReturnTo() {
+  return sanitizeReturnTo(getQueryParams()[RETURN_TO_PARAM]);
+}
+
+/**
+ * Carry the return target over links between login and registration
+ * Links opt in with `data-keep-return-to`.
+ */
+export function forwardReturnTo() {
+  const returnTo = getReturnTo();
+  if (!returnTo) return;
+
+  document.querySelectorAll('a[data-keep-return-to]').forEach(link => {
+    const [path] = link.getAttribute('href').split('?');
+    link.setAttribute('href', `${path}?${RETURN_TO_PARAM}=${encodeURIComponent(returnTo)}`);
+  });
+}
+
+/**
+ * Validate page to return to after login
+ * Only pages of this site are accepted, so a crafted link can't use the
+ * login form to send the user elsewhere (open redirect).
+ * @param {string} target - e.g. "/dashboard.html?tab=goals#goal-3"
+ * @returns {string|null} Path with query and hash, or null when not allowed
+ */
+function sanitizeReturnTo(target) {
+  if (!target) return null;
+
+  let url;
+  try {
+    url = new URL(target, window.location.href);
+  } catch (error) {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol) || url.origin !== window.location.origin) {
+    return null;
+  }
+
+  if (AUTH_PAGES.includes(url.pathname.split('/').pop())) {
+    return null;
+  }
+
+  return url.pathname + url.search + url.hash;
+}
+
+/**
+ * Decode payload of a JWT
+ * @param {string} token 
+ * @returns {Object|null} Claims, or null for opaque tokens
+ */
+function decodeToken(token) {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get expiry time of the access token
+ * @returns {number|null} Timestamp in ms, or null if the token has no `exp`
+ */
+export function getSessionExpiry() {
+  const token = localStorage.getItem('access_token');
+  const claims = token ? decodeToken(token) : null;
+
+  return claims && typeof claims.exp === 'number' ? claims.exp * 1000 : null;
 }
 
 /**
  * Check if user is logged in
+ * An access token past its `exp` doesn't count.
  * @returns {boolean}
  */
 export function isLoggedIn() {
-  return !!localStorage.getItem('access_token');
+  if (!localStorage.getItem('access_token')) {
+    return false;
+  }
+
+  const expiresAt = getSessionExpiry();
+  return expiresAt === null || expiresAt > Date.now();
 }
 
 /**
@@ -48,6 +226,82 @@ export function getCurrentUser() {
   return userData ? JSON.parse(userData) : null;
 }
 
+/**
+ * Get role of the current user
+ * @returns {string|null} e.g. "user", "admin"; null when logged out
+ */
+export function getCurrentRole() {
+  const user = getCurrentUser();
+  return user ? user.role || 'user' : null;
+}
+
+/**
+ * Check whether the current user has one of the roles
+ * @param {...string} roles 
+ * @returns {boolean}
+ */
+export function hasRole(...roles) {
+  return roles.includes(getCurrentRole());
+}
+
+/**
+ * Check whether the current user has a permission
+ * @param {string} permission - e.g. "admin:logs:read"
+ * @returns {boolean}
+ */
+export function hasPermission(permission) {
+  const user = getCurrentUser();
+  return !!user && Array.isArray(user.permissions) && user.permissions.includes(permission);
+}
+
+/**
+ * Merge fresh fields (e.g. balance) into stored user data
+ * @param {Object} updates 
+ * @returns {Object|null} Updated user data
+ */
+export function updateCurrentUser(updates) {
+  const user = getCurrentUser();
+
+  if (!user) return null;
+
+  const updated = { ...user, ...updates };
+  localStorage.setItem('user_data', JSON.stringify(updated));
+  return updated;
+}
+
+/**
+ * Replace stored user data with fresh data from the server
+ * Announced with a `user-updated` window event here and in other tabs.
+ * @param {Object} user 
+ */
+export function saveCurrentUser(user) {
+  localStorage.setItem('user_data', JSON.stringify(user));
+
+  updateAuthUI();
+  window.dispatchEvent(new CustomEvent('user-updated', { detail: { user } }));
+  broadcastAuthChange('user-updated');
+}
+
+/**
+ * Reload current user data from the server
+ * @returns {Promise<Object>} User
+ */
+export async function refreshCurrentUser() {
+  const user = await api.getProfile(getCurrentUserId(), { key: 'current-user' });
+  saveCurrentUser(user);
+  return user;
+}
+
+/**
+ * Check whether the current user has confirmed their email
+ * Accounts without the flag (older sessions) count as confirmed.
+ * @returns {boolean}
+ */
+export function isEmailVerified() {
+  const user = getCurrentUser();
+  return !user || user.email_verified !== false;
+}
+
 /**
  * Handle login form submission
  * @param {Event} event 
@@ -67,29 +321,233 @@ export async function handleLogin(event) {
   try {
     const response = await api.login(email, password);
 
-    // Store auth data
-    localStorage.setItem('access_token', response.access_token);
-    localStorage.setItem('user_id', response.user_id);
-
-    if (response.user) {
-      localStorage.setItem('user_data', JSON.stringify(response.user));
+    // Nothing is stored until the second factor is verified
+    if (response.otp_required) {
+      submitBtn.disabled = false;
+      submitBtn.textContent = 'Войти';
+      showOtpStep(response);
+      return;
     }
 
-    showToast('Успешный вход!', 'success');
-
-    // Redirect to dashboard
-    setTimeout(() => {
-      window.location.href = 'dashboard.html';
-    }, 1000);
+    completeLogin(response, 'Успешный вход!');
 
   } catch (error) {
     console.error('Login error:', error);
-    showToast('Ошибка входа. Проверьте данные.', 'error');
+    if (error instanceof api.ApiError) {
+      showFieldErrors(form, error.fieldErrors);
+    }
+    showToast(api.getErrorMessage(error, 'Ошибка входа. Проверьте данные.'), 'error');
     submitBtn.disabled = false;
     submitBtn.textContent = 'Войти';
   }
 }
 
+/**
+ * Store session and go to the requested page or the dashboard
+ * @param {Object} response - Login response with tokens
+ * @param {string} message - Success toast
+ */
+function completeLogin(response, message) {
+  storeSession(response);
+
+  showToast(message, 'success');
+
+  setTimeout(() => {
+    window.location.href = getReturnTo() || 'dashboard.html';
+  }, 1000);
+}
+
+/**
+ * Replace the password form with the one-time code form
+ * @param {Object} challenge - {challenge_id, method, destination, attempts_left, resend_in}
+ */
+function showOtpStep(challenge) {
+  const loginForm = document.getElementById('login-form');
+  const otpForm = document.getElementById('otp-form');
+
+  if (!otpForm) return;
+
+  otpChallenge = challenge;
+
+  if (!otpForm.dataset.bound) {
+    otpForm.dataset.bound = 'true';
+    otpForm.addEventListener('submit', handleOtpSubmit);
+    otpForm.querySelector('#otp-resend').addEventListener('click', handleOtpResend);
+    otpForm.querySelector('#otp-recovery-toggle').addEventListener('click', () => {
+      setOtpMode(otpMode === 'code' ? 'recovery' : 'code');
+    });
+    otpForm.querySelector('#otp-back').addEventListener('click', resetOtpStep);
+  }
+
+  otpForm.querySelector('[data-otp-destination]').textContent = challenge.method === 'totp'
+    ? 'Введите код из приложения-аутентификатора.'
+    : `Мы отправили код подтверждения на номер ${challenge.destination}.`;
+
+  const resendBtn = otpForm.querySelector('#otp-resend');
+  resendBtn.style.display = challenge.method === 'sms' ? '' : 'none';
+
+  loginForm.style.display = 'none';
+  otpForm.style.display = '';
+
+  setOtpMode('code');
+  startResendCountdown(challenge.resend_in);
+}
+
+/**
+ * Switch between one-time code and recovery code input
+ * @param {string} mode - code, recovery
+ */
+function setOtpMode(mode) {
+  const otpForm = document.getElementById('otp-form');
+  const input = otpForm.code;
+  const isRecovery = mode === 'recovery';
+
+  otpMode = mode;
+
+  otpForm.querySelector('[data-otp-label]').textContent = isRecovery ? 'Резервный код' : 'Код подтверждения';
+  otpForm.querySelector('#otp-recovery-toggle').textContent = isRecovery
+    ? (otpChallenge.method === 'totp' ? 'Ввести код из приложения' : 'Ввести код из SMS')
+    : 'Использовать резервный код';
+
+  input.value = '';
+  input.maxLength = isRecovery ? 9 : 6;
+  input.placeholder = isRecovery ? 'XXXX-XXXX' : '000000';
+  input.inputMode = isRecovery ? 'text' : 'numeric';
+  input.autocomplete = isRecovery ? 'off' : 'one-time-code';
+
+  clearError(input);
+  input.focus();
+}
+
+/**
+ * Count down until the code may be sent again
+ * @param {number} seconds 
+ */
+function startResendCountdown(seconds) {
+  const button = document.getElementById('otp-resend');
+  const endsAt = Date.now() + seconds * 1000;
+
+  clearInterval(resendTimer);
+
+  const update = () => {
+    const left = Math.max(Math.ceil((endsAt - Date.now()) / 1000), 0);
+
+    button.disabled = left > 0;
+    button.textContent = left > 0
+      ? `Отправить код повторно через ${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')}`
+      : 'Отправить код повторно';
+
+    if (left === 0) {
+      clearInterval(resendTimer);
+    }
+  };
+
+  update();
+  resendTimer = setInterval(update, 1000);
+}
+
+/**
+ * Return to the password form (challenge expired, attempts used up, or user choice)
+ */
+function resetOtpStep() {
+  otpChallenge = null;
+  clearInterval(resendTimer);
+
+  const loginForm = document.getElementById('login-form');
+  document.getElementById('otp-form').style.display = 'none';
+  loginForm.style.display = '';
+  loginForm.password.value = '';
+  loginForm.password.focus();
+}
+
+/**
+ * Handle one-time code form submission
+ * @param {Event} event 
+ */
+async function handleOtpSubmit(event) {
+  event.preventDefault();
+
+  const form = event.target;
+  const input = form.code;
+  const value = input.value.trim();
+  const submitBtn = form.querySelector('button[type="submit"]');
+
+  clearError(input);
+
+  if (otpMode === 'code' && !/^\d{6}$/.test(value)) {
+    showError(input, 'Введите 6-значный код');
+    return;
+  }
+
+  if (otpMode === 'recovery' && !value) {
+    showError(input, 'Введите резервный код');
+    return;
+  }
+
+  submitBtn.disabled = true;
+  submitBtn.textContent = 'Проверка...';
+
+  try {
+    const response = otpMode === 'recovery'
+      ? await api.loginWithRecoveryCode(otpChallenge.challenge_id, value)
+      : await api.verifyOtp(otpChallenge.challenge_id, value);
+
+    clearInterval(resendTimer);
+    otpChallenge = null;
+
+    if (response.recovery_codes_left !== undefined) {
+      showToast(`Осталось резервных кодов: ${response.recovery_codes_left}`, 'warning', 5000);
+    }
+
+    completeLogin(response, 'Вход подтверждён');
+
+  } catch (error) {
+    console.error('OTP verification error:', error);
+
+    // Challenge is gone: start over with the password
+    if (error instanceof api.ApiError && (error.status === 410 || error.status === 423)) {
+      showToast(api.getErrorMessage(error, 'Войдите снова'), 'error', 6000);
+      resetOtpStep();
+    } else {
+      if (error instanceof api.ApiError) {
+        showFieldErrors(form, error.fieldErrors, { recovery_code: 'code' });
+      }
+      showToast(api.getErrorMessage(error, 'Не удалось проверить код'), 'error');
+      input.select();
+    }
+
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Подтвердить';
+  }
+}
+
+/**
+ * Send the one-time code again
+ */
+async function handleOtpResend() {
+  if (!otpChallenge) return;
+
+  const button = document.getElementById('otp-resend');
+  button.disabled = true;
+
+  try {
+    const { resend_in } = await api.resendOtp(otpChallenge.challenge_id);
+    showToast('Код отправлен повторно', 'success');
+    startResendCountdown(resend_in);
+  } catch (error) {
+    console.error('OTP resend error:', error);
+
+    if (error instanceof api.ApiError && error.status === 410) {
+      showToast(api.getErrorMessage(error, 'Войдите снова'), 'error', 6000);
+      resetOtpStep();
+      return;
+    }
+
+    showToast(api.getErrorMessage(error, 'Не удалось отправить код'), 'error');
+    startResendCountdown(error.retryAfter ? error.retryAfter / 1000 : 0);
+  }
+}
+
 /**
  * Handle registration form submission
  * @param {Event} event 
@@ -117,45 +575,471 @@ export async function handleRegister(event) {
     const response = await api.register({ name, email, password });
 
     // Store auth data
-    localStorage.setItem('access_token', response.access_token);
-    localStorage.setItem('user_id', response.user_id);
+    storeSession(response);
 
-    showToast('Регистрация успешна!', 'success');
+    showToast('Регистрация успешна! Проверьте почту, чтобы подтвердить email.', 'success', 5000);
 
-    // Redirect to dashboard
     setTimeout(() => {
-      window.location.href = 'dashboard.html';
+      window.location.href = getReturnTo() || 'dashboard.html';
     }, 1000);
 
   } catch (error) {
     console.error('Registration error:', error);
-    showToast('Ошибка регистрации. Попробуйте снова.', 'error');
+    if (error instanceof api.ApiError) {
+      showFieldErrors(form, error.fieldErrors);
+    }
+    showToast(api.getErrorMessage(error, 'Ошибка регистрации. Попробуйте снова.'), 'error');
     submitBtn.disabled = false;
     submitBtn.textContent = 'Зарегистрироваться';
   }
 }
 
+/**
+ * Handle "forgot password" form submission
+ * @param {Event} event 
+ */
+export async function handleForgotPassword(event) {
+  event.preventDefault();
+
+  const form = event.target;
+  const email = form.email.value.trim();
+  const submitBtn = form.querySelector('button[type="submit"]');
+
+  submitBtn.disabled = true;
+  submitBtn.textContent = 'Отправка...';
+
+  try {
+    await api.requestPasswordReset(email);
+
+    form.style.display = 'none';
+    const sent = document.getElementById('forgot-sent');
+    sent.querySelector('[data-sent-email]').textContent = email;
+    sent.style.display = '';
+
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    if (error instanceof api.ApiError) {
+      showFieldErrors(form, error.fieldErrors);
+    }
+    showToast(api.getErrorMessage(error, 'Не удалось отправить ссылку. Попробуйте снова.'), 'error');
+  } finally {
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Отправить ссылку';
+  }
+}
+
+/**
+ * Handle new password form submission
+ * The token comes from the reset link (hidden `token` field).
+ * @param {Event} event 
+ */
+export async function handleResetPassword(event) {
+  event.preventDefault();
+
+  const form = event.target;
+  const password = form.password.value;
+  const confirmPassword = form.confirm_password.value;
+  const submitBtn = form.querySelector('button[type="submit"]');
+
+  if (password !== confirmPassword) {
+    showError(form.confirm_password, 'Пароли не совпадают');
+    return;
+  }
+
+  submitBtn.disabled = true;
+  submitBtn.textContent = 'Сохранение...';
+
+  try {
+    await api.resetPassword(form.token.value, password);
+
+    // The server ended all sessions, including ones in this browser
+    logout({
+      message: 'Пароль изменён. Войдите с новым паролем.',
+      type: 'success',
+      redirectTo: 'login.html?reason=password_reset'
+    });
+
+  } catch (error) {
+    console.error('Password reset error:', error);
+
+    // Used or expired link: offer to request a new one
+    if (error instanceof api.ApiError && error.status === 410) {
+      form.style.display = 'none';
+      document.getElementById('forgot-form').style.display = '';
+
+      const notice = document.getElementById('reset-notice');
+      notice.textContent = api.getErrorMessage(error, 'Ссылка устарела. Запросите новую.');
+      notice.style.display = 'block';
+    } else {
+      if (error instanceof api.ApiError) {
+        showFieldErrors(form, error.fieldErrors);
+      }
+      showToast(api.getErrorMessage(error, 'Не удалось изменить пароль. Попробуйте снова.'), 'error');
+    }
+
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Сохранить пароль';
+  }
+}
+
+/**
+ * Confirm email with token from the verification link
+ * @param {string} token 
+ * @returns {Promise<Object>} Confirmed user
+ */
+export async function confirmEmail(token) {
+  const { user } = await api.verifyEmail(token);
+
+  // Lift the dashboard restrictions if the link belongs to the logged in user
+  if (String(user.id) === String(getCurrentUserId())) {
+    saveCurrentUser(user);
+  }
+
+  return user;
+}
+
+/**
+ * Store tokens and user data from login/register response
+ * @param {Object} response 
+ */
+function storeSession(response) {
+  localStorage.setItem('access_token', response.access_token);
+  localStorage.setItem('user_id', response.user_id);
+
+  if (response.refresh_token) {
+    localStorage.setItem('refresh_token', response.refresh_token);
+  }
+
+  if (response.user) {
+    localStorage.setItem('user_data', JSON.stringify(response.user));
+  }
+
+  broadcastAuthChange('login');
+}
+
 /**
  * Logout user
+ * @param {Object} options - {message, type, redirectTo}
  */
-export function logout() {
+export function logout({ message = 'Вы вышли из системы', type = 'info', redirectTo = 'index.html' } = {}) {
   localStorage.removeItem('access_token');
+  localStorage.removeItem('refresh_token');
   localStorage.removeItem('user_id');
   localStorage.removeItem('user_data');
 
-  showToast('Вы вышли из системы', 'info');
+  stopSessionMonitors();
+  realtime.disconnect();
+  broadcastAuthChange('logout');
+
+  // Don't leave cached financial data or queued mutations behind for the next user
+  api.clearCache();
+  offlineQueue.clear();
+
+  showToast(message, type);
 
   setTimeout(() => {
-    window.location.href = 'index.html';
+    window.location.href = redirectTo;
   }, 1000);
 }
 
+/**
+ * Handle session that could not be refreshed
+ */
+function handleSessionExpired() {
+  logout({
+    message: 'Сессия истекла. Войдите снова.',
+    type: 'warning',
+    redirectTo: getLoginUrl('session_expired')
+  });
+}
+
+/**
+ * Refresh an expired access token on page load
+ * Logs out if the refresh token is no longer valid.
+ */
+async function restoreSession() {
+  try {
+    await api.refreshSession();
+    startSessionMonitors();
+  } catch (error) {
+    console.warn('Session could not be restored:', error);
+    handleSessionExpired();
+  }
+}
+
+/**
+ * Start expiry warning and idle tracking for the current session
+ */
+function startSessionMonitors() {
+  scheduleExpiryWarning();
+  startIdleMonitor();
+}
+
+/**
+ * Stop all session timers (on logout)
+ */
+function stopSessionMonitors() {
+  clearTimeout(warningTimer);
+  clearTimeout(expiryTimer);
+  clearInterval(idleTimer);
+  idleTimer = null;
+
+  if (warningController) {
+    warningController.abort();
+    warningController = null;
+  }
+
+  ACTIVITY_EVENTS.forEach(name => document.removeEventListener(name, recordActivity));
+}
+
+/**
+ * Schedule the expiry warning and the token refresh at expiry
+ * Called again whenever the token is refreshed.
+ */
+function scheduleExpiryWarning() {
+  clearTimeout(warningTimer);
+  clearTimeout(expiryTimer);
+
+  if (warningController) {
+    warningController.abort();
+    warningController = null;
+  }
+
+  const expiresAt = getSessionExpiry();
+  if (!expiresAt) return;
+
+  const timeLeft = expiresAt - Date.now();
+
+  // Long-lived token: check again later instead of overflowing the timers
+  if (timeLeft - EXPIRY_WARNING_BEFORE > MAX_TIMER_DELAY) {
+    warningTimer = setTimeout(scheduleExpiryWarning, MAX_TIMER_DELAY);
+    return;
+  }
+
+  warningTimer = setTimeout(showExpiryWarning, Math.max(timeLeft - EXPIRY_WARNING_BEFORE, 0));
+  expiryTimer = setTimeout(refreshExpiredSession, Math.max(timeLeft, 0));
+}
+
+/**
+ * Refresh the token silently when it expires
+ * Only a failed refresh logs out; inactive users are logged out by the idle monitor.
+ */
+async function refreshExpiredSession() {
+  if (warningController) {
+    warningController.abort();
+    warningController = null;
+  }
+
+  try {
+    await api.refreshSession();
+  } catch (error) {
+    console.error('Failed to refresh expired session:', error);
+    handleSessionExpired();
+  }
+}
+
+/**
+ * Ask the user whether to extend the session
+ */
+async function showExpiryWarning() {
+  const controller = new AbortController();
+  warningController = controller;
+
+  const confirmed = showConfirmModal(
+    'Сессия скоро истечёт',
+    'Из соображений безопасности сессия завершится через <strong data-session-countdown></strong>. Продлить сессию?',
+    'Продлить',
+    'Выйти',
+    { signal: controller.signal }
+  );
+
+  updateExpiryCountdown();
+  const countdown = setInterval(updateExpiryCountdown, 1000);
+
+  const extend = await confirmed;
+  clearInterval(countdown);
+
+  // Closed because the session was refreshed or has expired
+  if (extend === null) return;
+
+  warningController = null;
+
+  if (!extend) {
+    logout();
+    return;
+  }
+
+  try {
+    await api.refreshSession();
+    showToast('Сессия продлена', 'success');
+  } catch (error) {
+    console.error('Failed to extend session:', error);
+    handleSessionExpired();
+  }
+}
+
+/**
+ * Update remaining time in the expiry warning
+ */
+function updateExpiryCountdown() {
+  const el = document.querySelector('[data-session-countdown]');
+  const expiresAt = getSessionExpiry();
+
+  if (!el || !expiresAt) return;
+
+  const seconds = Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 0);
+  el.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Set idle period after which the user is logged out
+ * @param {number} ms - Milliseconds, 0 to disable
+ */
+export function setIdleTimeout(ms) {
+  localStorage.setItem(IDLE_TIMEOUT_KEY, String(ms));
+
+  clearInterval(idleTimer);
+  idleTimer = null;
+
+  if (isLoggedIn()) {
+    startIdleMonitor();
+  }
+}
+
+/**
+ * Get idle logout period
+ * @returns {number} Milliseconds, 0 when disabled
+ */
+function getIdleTimeout() {
+  const stored = localStorage.getItem(IDLE_TIMEOUT_KEY);
+  return stored === null ? DEFAULT_IDLE_TIMEOUT : parseInt(stored) || 0;
+}
+
+/**
+ * Remember time of last user activity
+ * Stored in localStorage so activity in any tab keeps the session alive.
+ */
+function recordActivity() {
+  const now = Date.now();
+
+  // Activity events fire constantly; a few seconds of precision is enough
+  if (now - lastActivityWrite < 5000) return;
+
+  lastActivityWrite = now;
+  localStorage.setItem(LAST_ACTIVITY_KEY, String(now));
+}
+
+/**
+ * Watch user activity and log out after the idle period
+ */
+function startIdleMonitor() {
+  if (idleTimer || !getIdleTimeout()) return;
+
+  lastActivityWrite = 0;
+  recordActivity();
+
+  ACTIVITY_EVENTS.forEach(name => document.addEventListener(name, recordActivity, { passive: true }));
+
+  idleTimer = setInterval(() => {
+    const lastActivity = parseInt(localStorage.getItem(LAST_ACTIVITY_KEY)) || Date.now();
+
+    if (Date.now() - lastActivity >= getIdleTimeout()) {
+      logout({
+        message: 'Вы вышли из системы из-за неактивности',
+        type: 'warning',
+        redirectTo: getLoginUrl('idle')
+      });
+    }
+  }, IDLE_CHECK_INTERVAL);
+}
+
+/**
+ * Listen for auth changes made in other tabs
+ * Uses BroadcastChannel where available, otherwise `storage` events
+ * on the access token (fired by the same localStorage writes).
+ */
+function startAuthSync() {
+  if (authChannel) return;
+
+  if ('BroadcastChannel' in window) {
+    authChannel = new BroadcastChannel(AUTH_CHANNEL);
+    authChannel.addEventListener('message', event => handleAuthChange(event.data.type));
+    return;
+  }
+
+  window.addEventListener('storage', event => {
+    if (event.key === 'user_data' && event.newValue) {
+      handleAuthChange('user-updated');
+      return;
+    }
+
+    // key is null when another tab cleared the whole storage
+    if (event.key !== 'access_token' && event.key !== null) return;
+
+    if (!localStorage.getItem('access_token')) {
+      handleAuthChange('logout');
+    } else if (!event.oldValue) {
+      handleAuthChange('login');
+    } else {
+      handleAuthChange('token-refreshed');
+    }
+  });
+}
+
+/**
+ * Tell other tabs about an auth change in this tab
+ * The storage fallback needs no message: other tabs see the localStorage write.
+ * @param {string} type - login, logout, token-refreshed, user-updated
+ */
+function broadcastAuthChange(type) {
+  if (authChannel) {
+    authChannel.postMessage({ type });
+  }
+}
+
+/**
+ * Apply an auth change made in another tab
+ * @param {string} type - login, logout, token-refreshed, user-updated
+ */
+function handleAuthChange(type) {
+  const currentPage = window.location.pathname.split('/').pop();
+  const protectedPage = currentPage in ROUTE_ROLES;
+
+  if (type === 'logout') {
+    stopSessionMonitors();
+    realtime.disconnect();
+    sessionUserId = null;
+
+    if (protectedPage) {
+      window.location.replace(getLoginUrl('logged_out'));
+      return;
+    }
+  } else if (type === 'login') {
+    // The page shows data of whoever was logged in before
+    if (protectedPage && sessionUserId !== getCurrentUserId()) {
+      window.location.reload();
+      return;
+    }
+
+    sessionUserId = getCurrentUserId();
+    startSessionMonitors();
+  } else if (type === 'token-refreshed') {
+    // Requests read the token from localStorage; only the timers need updating
+    scheduleExpiryWarning();
+  } else if (type === 'user-updated') {
+    window.dispatchEvent(new CustomEvent('user-updated', { detail: { user: getCurrentUser() } }));
+  }
+
+  updateAuthUI();
+}
+
 /**
  * Update UI elements based on auth state
  */
 function updateAuthUI() {
   const authLinks = document.querySelectorAll('[data-auth-required]');
   const guestLinks = document.querySelectorAll('[data-guest-only]');
+  const roleLinks = document.querySelectorAll('[data-role-required]');
   const userNameElements = document.querySelectorAll('[data-user-name]');
 
   const loggedIn = isLoggedIn();
@@ -169,6 +1053,12 @@ function updateAuthUI() {
     el.style.display = loggedIn ? 'none' : '';
   });
 
+  // data-role-required="admin" or a comma-separated list of roles
+  roleLinks.forEach(el => {
+    const roles = el.dataset.roleRequired.split(',').map(role => role.trim());
+    el.style.display = loggedIn && hasRole(...roles) ? '' : 'none';
+  });
+
   if (user && user.name) {
     userNameElements.forEach(el => {
       el.textContent = user.name;
@@ -181,7 +1071,22 @@ export default {
   isLoggedIn,
   getCurrentUserId,
   getCurrentUser,
+  getCurrentRole,
+  hasRole,
+  hasPermission,
+  updateCurrentUser,
+  saveCurrentUser,
+  refreshCurrentUser,
+  isEmailVerified,
+  getSessionExpiry,
+  setIdleTimeout,
+  getLoginUrl,
+  getReturnTo,
+  forwardReturnTo,
   handleLogin,
   handleRegister,
+  handleForgotPassword,
+  handleResetPassword,
+  confirmEmail,
   logout
 };
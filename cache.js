@@ -0,0 +1,158 @@
+/**
+ * Zaman Bank - Cache Module
+ * Persists API responses in IndexedDB, scoped per user
+ * Falls back to in-memory storage when IndexedDB is unavailable
+ */
+
+const DB_NAME = 'zaman_bank';
+const DB_VERSION = 2; // 2: amounts became money objects
+const STORE_NAME = 'responses';
+
+let dbPromise = null;
+const memoryStore = new Map();
+
+/**
+ * Open (and upgrade if needed) the cache database
+ * @returns {Promise<IDBDatabase|null>} - null when IndexedDB is unavailable
+ */
+function openDb() {
+  if (!window.indexedDB) {
+    return Promise.resolve(null);
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        // Responses cached by an older version have an outdated shape
+        if (event.oldVersion > 0 && db.objectStoreNames.contains(STORE_NAME)) {
+          db.deleteObjectStore(STORE_NAME);
+        }
+
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('user_id', 'user_id');
+      };
+
+      request.onsuccess = () => resolve(request.result);
+
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, using memory cache:', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Wrap IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Build storage key for user and resource
+ * @param {number} userId
+ * @param {string} key
+ * @returns {string}
+ */
+function scopedKey(userId, key) {
+  return `${userId}:${key}`;
+}
+
+/**
+ * Read cached entry
+ * @param {number} userId
+ * @param {string} key - Resource key (usually API path)
+ * @returns {Promise<{data: any, updated_at: number}|null>}
+ */
+export async function read(userId, key) {
+  try {
+    const db = await openDb();
+
+    if (!db) {
+      return memoryStore.get(scopedKey(userId, key)) || null;
+    }
+
+    const store = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME);
+    return (await promisify(store.get(scopedKey(userId, key)))) || null;
+  } catch (error) {
+    console.warn('Cache read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Write cache entry
+ * @param {number} userId
+ * @param {string} key - Resource key (usually API path)
+ * @param {any} data
+ */
+export async function write(userId, key, data) {
+  const entry = {
+    key: scopedKey(userId, key),
+    user_id: userId,
+    data,
+    updated_at: Date.now()
+  };
+
+  try {
+    const db = await openDb();
+
+    if (!db) {
+      memoryStore.set(entry.key, entry);
+      return;
+    }
+
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+    await promisify(store.put(entry));
+  } catch (error) {
+    console.warn('Cache write failed:', error);
+  }
+}
+
+/**
+ * Remove cached entries
+ * @param {number} [userId] - Only this user's entries; all entries if omitted
+ */
+export async function clear(userId) {
+  for (const [key, entry] of memoryStore) {
+    if (userId === undefined || entry.user_id === userId) {
+      memoryStore.delete(key);
+    }
+  }
+
+  try {
+    const db = await openDb();
+
+    if (!db) return;
+
+    const store = db.transaction(STORE_NAME, 'readwrite').objectStore(STORE_NAME);
+
+    if (userId === undefined) {
+      await promisify(store.clear());
+      return;
+    }
+
+    const keys = await promisify(store.index('user_id').getAllKeys(userId));
+    await Promise.all(keys.map(key => promisify(store.delete(key))));
+  } catch (error) {
+    console.warn('Cache clear failed:', error);
+  }
+}
+
+export default {
+  read,
+  write,
+  clear
+};
@@ -0,0 +1,162 @@
+/**
+ * Zaman Bank - Transaction Categories Module
+ * Assigns spending categories to transactions by description keywords
+ *
+ * A category picked by the user is remembered for the description (per user,
+ * in localStorage) and wins over the rules for every transaction with it.
+ */
+
+import { getCurrentUserId } from 'auth.js';
+
+const STORAGE_KEY = 'category_overrides';
+
+// Categories by id; colors are used by the spending chart
+export const CATEGORIES = {
+  groceries: { name: 'Продукты', icon: '🛒', color: '#27ae60' },
+  restaurants: { name: 'Кафе и рестораны', icon: '🍽️', color: '#e67e22' },
+  transport: { name: 'Транспорт', icon: '🚕', color: '#3498db' },
+  utilities: { name: 'Коммунальные услуги', icon: '💡', color: '#f1c40f' },
+  telecom: { name: 'Связь и интернет', icon: '📱', color: '#9b59b6' },
+  health: { name: 'Здоровье', icon: '💊', color: '#e74c3c' },
+  entertainment: { name: 'Подписки и развлечения', icon: '🎬', color: '#34495e' },
+  shopping: { name: 'Покупки', icon: '🛍️', color: '#1abc9c' },
+  transfers: { name: 'Переводы', icon: '🔁', color: '#7f8c8d' },
+  savings: { name: 'Накопления', icon: '🎯', color: '#16a085' },
+  income: { name: 'Доходы', icon: '💰', color: '#2ecc71' },
+  other: { name: 'Прочее', icon: '📦', color: '#bdc3c7' }
+};
+
+// Categories left out of spending analytics: income and money put aside into goals
+export const NON_SPENDING = ['savings', 'income'];
+
+// First matching rule wins, so specific keywords go before generic ones
+// ("Grocery Shopping" is groceries, not shopping)
+const RULES = [
+  { category: 'savings', keywords: ['пополнение цели', 'снятие с цели', 'savings goal'] },
+  { category: 'income', type: 'credit', keywords: ['salary', 'зарплат', 'cashback', 'кешбэк', 'кэшбэк', 'dividend', 'дивиденд'] },
+  { category: 'transfers', keywords: ['transfer', 'перевод'] },
+  { category: 'groceries', keywords: ['grocery', 'groceries', 'supermarket', 'magnum', 'продукт', 'супермаркет'] },
+  { category: 'restaurants', keywords: ['restaurant', 'cafe', 'coffee', 'glovo', 'wolt', 'ресторан', 'кафе', 'кофе'] },
+  { category: 'transport', keywords: ['taxi', 'uber', 'yandex go', 'bus', 'fuel', 'parking', 'такси', 'автобус', 'азс', 'бензин', 'парковк'] },
+  { category: 'utilities', keywords: ['utility', 'utilities', 'electricity', 'коммунал', 'электроэнерг', 'водоканал'] },
+  { category: 'telecom', keywords: ['mobile', 'top-up', 'internet', 'kcell', 'beeline', 'tele2', 'интернет', 'связь'] },
+  { category: 'health', keywords: ['pharmacy', 'clinic', 'doctor', 'аптек', 'клиник', 'врач'] },
+  { category: 'entertainment', keywords: ['netflix', 'spotify', 'youtube', 'subscription', 'cinema', 'подписк', 'кино'] },
+  { category: 'shopping', keywords: ['purchase', 'shop', 'store', 'market', 'покупк', 'магазин', 'kaspi', 'ozon', 'wildberries'] }
+];
+
+/**
+ * Key of a description in the overrides
+ * @param {string} description
+ * @returns {string}
+ */
+function normalize(description) {
+  return description.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Load overrides of all users
+ * @returns {Object} User id -> {description: category}
+ */
+function loadAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Corrupted category overrides, resetting:', error);
+    return {};
+  }
+}
+
+/**
+ * Get category by id
+ * @param {string} id
+ * @returns {{name: string, icon: string, color: string}} "Other" for unknown ids
+ */
+export function getCategory(id) {
+  return CATEGORIES[id] || CATEGORIES.other;
+}
+
+/**
+ * Category assigned by the keyword rules alone
+ * @param {Object} transaction - {description, type}
+ * @returns {string} Category id
+ */
+export function matchRules(transaction) {
+  const description = normalize(transaction.description);
+
+  const rule = RULES.find(r =>
+    (!r.type || r.type === transaction.type) &&
+    r.keywords.some(keyword => description.includes(keyword))
+  );
+
+  if (rule) return rule.category;
+
+  return transaction.type === 'credit' ? 'income' : 'other';
+}
+
+/**
+ * Get categories the user picked, by normalized description
+ * @param {number} [userId] - Current user if omitted
+ * @returns {Object}
+ */
+export function getOverrides(userId = getCurrentUserId()) {
+  return loadAll()[userId] || {};
+}
+
+/**
+ * Remember category for all transactions with the description
+ * Fires `categories-updated` on window.
+ * @param {string} description
+ * @param {string|null} category - null returns the description to the rules
+ * @param {number} [userId] - Current user if omitted
+ */
+export function setOverride(description, category, userId = getCurrentUserId()) {
+  const all = loadAll();
+  const overrides = { ...all[userId] };
+  const key = normalize(description);
+
+  if (category && CATEGORIES[category]) {
+    overrides[key] = category;
+  } else {
+    delete overrides[key];
+  }
+
+  all[userId] = overrides;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+
+  window.dispatchEvent(new CustomEvent('categories-updated', {
+    detail: { description, category: overrides[key] || null }
+  }));
+}
+
+/**
+ * Category of a transaction
+ * @param {Object} transaction - {description, type}
+ * @param {Object} [overrides] - See getOverrides(); pass it when categorizing many transactions
+ * @returns {string} Category id
+ */
+export function categorize(transaction, overrides = getOverrides()) {
+  const picked = overrides[normalize(transaction.description)];
+  return CATEGORIES[picked] ? picked : matchRules(transaction);
+}
+
+/**
+ * Whether a transaction has a category picked by the user
+ * @param {Object} transaction
+ * @param {Object} [overrides]
+ * @returns {boolean}
+ */
+export function isOverridden(transaction, overrides = getOverrides()) {
+  return Boolean(CATEGORIES[overrides[normalize(transaction.description)]]);
+}
+
+export default {
+  CATEGORIES,
+  NON_SPENDING,
+  getCategory,
+  matchRules,
+  getOverrides,
+  setOverride,
+  categorize,
+  isOverridden
+};
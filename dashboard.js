@@ -7,23 +7,158 @@ import * as api from 'api.js';
 import * as auth from 'auth.js';
 import * as ui from 'ui.js';
 import * as validator from 'validator.js';
+import * as offlineQueue from 'offline_queue.js';
+import * as realtime from 'realtime.js';
+import * as money from 'money.js';
+import * as forecast from 'forecast.js';
+import * as utils from 'utils.js';
+import * as categories from 'categories.js';
+import * as spending from 'spending.js';
+import * as statement from 'statement.js';
 
 let goalsData = [];
+let contributionsData = null;
 let transactionsData = [];
+let transactionsCursor = null;
+let loadingMoreTransactions = false;
+let transactionsObserver = null;
+let transactionFilters = {};
+let exchangeRates = null;
+const staleSections = new Set();
+
+// Goals with a change in flight; their actions are disabled until it settles
+const busyGoalIds = new Set();
+
+// Minimum goal target by currency, in major units
+const MIN_GOAL_AMOUNTS = { KZT: 1000, RUB: 200, USD: 2, EUR: 2 };
+
+// Transaction filters kept in the URL; sort and order are stored only when not the default
+const TRANSACTION_FILTER_FIELDS = ['q', 'type', 'from', 'to', 'min', 'max'];
+
+// Order a column is first sorted in
+const TRANSACTION_SORT_ORDERS = { date: 'desc', amount: 'desc', description: 'asc' };
+
+// Labels of the live updates indicator by realtime status
+const LIVE_STATUS_BADGES = {
+  connecting: { text: 'Подключение...', className: 'badge-primary' },
+  live: { text: 'Онлайн', className: 'badge-success' },
+  polling: { text: 'Обновление раз в 30 с', className: 'badge-warning' },
+  offline: { text: 'Офлайн', className: 'badge-error' }
+};
 
 /**
  * Initialize dashboard
  */
 export async function init() {
+  renderEmailVerification();
+
+  // Email confirmed from the link in another tab
+  window.addEventListener('user-updated', renderEmailVerification);
+
+  initTransactionFilters();
+  spending.init();
+
+  const statementBtn = document.getElementById('statement-export-btn');
+  if (statementBtn) {
+    statementBtn.addEventListener('click', showStatementModal);
+  }
+
+  // Recategorized transaction: its badge and the same description elsewhere
+  window.addEventListener('categories-updated', () => {
+    const transactionsContainer = document.getElementById('transactions-table');
+    if (transactionsContainer && transactionsData.length > 0) {
+      renderTransactions(transactionsContainer);
+    }
+  });
+
   await loadDashboard();
 
   // Listen for refresh events
   window.addEventListener('dashboard-refresh', loadDashboard);
 
-  // Setup create goal form
-  const createGoalForm = document.getElementById('create-goal-form');
-  if (createGoalForm) {
-    createGoalForm.addEventListener('submit', handleCreateGoal);
+  // Revalidate when connectivity returns, flag cached data when it drops
+  window.addEventListener('online', loadDashboard);
+  window.addEventListener('offline', () => updateStaleNotice());
+
+  // Replay goals created while offline
+  window.addEventListener('offline-queue', handleQueueEvent);
+  offlineQueue.init();
+
+  // Push updates of balance, transactions and goals
+  window.addEventListener('realtime-event', handleRealtimeEvent);
+  window.addEventListener('realtime-status', (e) => updateLiveStatus(e.detail.status));
+
+  const userId = auth.getCurrentUserId();
+  if (userId) {
+    realtime.connect(userId);
+  }
+
+  // Edit, delete and transfer buttons on goal cards
+  const goalsContainer = document.getElementById('goals-container');
+  if (goalsContainer) {
+    goalsContainer.addEventListener('click', handleGoalAction);
+  }
+
+  // Setup create goal form (the modal form is created on demand)
+  document.addEventListener('submit', (e) => {
+    if (e.target.id === 'create-goal-form') {
+      handleCreateGoal(e);
+    }
+  });
+}
+
+/**
+ * Restrict the dashboard until the email is confirmed
+ * Goal creation is disabled; the server rejects money operations as well.
+ */
+function renderEmailVerification() {
+  const notice = document.getElementById('verify-email-notice');
+  const createBtn = document.getElementById('create-goal-btn');
+  const verified = auth.isEmailVerified();
+
+  if (createBtn) {
+    createBtn.disabled = !verified;
+    createBtn.title = verified ? '' : 'Подтвердите email, чтобы создавать цели';
+  }
+
+  if (!notice) return;
+
+  notice.style.display = verified ? 'none' : '';
+  if (verified) return;
+
+  const user = auth.getCurrentUser();
+  notice.querySelector('[data-verify-text]').textContent =
+    `Подтвердите email ${user.email} по ссылке из письма. До подтверждения нельзя создавать цели и переводить деньги.`;
+
+  const button = notice.querySelector('#verify-email-resend');
+  if (!button.dataset.bound) {
+    button.dataset.bound = 'true';
+    button.addEventListener('click', handleResendVerification);
+  }
+}
+
+/**
+ * Send the verification email again
+ * @param {Event} event 
+ */
+async function handleResendVerification(event) {
+  const button = event.currentTarget;
+  button.disabled = true;
+
+  try {
+    const { resend_in = 0 } = await api.resendVerificationEmail(auth.getCurrentUserId());
+    ui.showToast('Письмо отправлено повторно', 'success');
+    setTimeout(() => { button.disabled = false; }, resend_in * 1000);
+  } catch (error) {
+    // Confirmed meanwhile, e.g. on another device
+    if (error instanceof api.ApiError && error.status === 409) {
+      auth.updateCurrentUser({ email_verified: true });
+      renderEmailVerification();
+      return;
+    }
+
+    ui.showToast(api.getErrorMessage(error, 'Не удалось отправить письмо'), 'error');
+    setTimeout(() => { button.disabled = false; }, error.retryAfter || 0);
   }
 }
 
@@ -34,19 +169,37 @@ export async function loadDashboard() {
   const userId = auth.getCurrentUserId();
 
   if (!userId) {
-    window.location.href = 'login.html';
+    window.location.href = auth.getLoginUrl();
     return;
   }
 
   try {
+    // Rates only add tenge amounts next to foreign ones, so cached goals and
+    // transactions are shown without waiting for them
+    const ratesLoaded = loadExchangeRates();
+
+    // Contribution history feeds the goal forecasts; goals don't wait for it
+    const contributionsLoaded = loadGoalContributions(userId);
+
     // Load goals
     await loadGoals(userId);
 
+    // Goals rendered before the history arrived get their forecasts
+    contributionsLoaded.then(() => {
+      if (goalsData.length > 0) renderLiveGoals();
+    });
+
     // Load transactions
     await loadTransactions(userId);
 
-    // Update balance
-    updateBalance();
+    await ratesLoaded;
+    renderConvertedAmounts();
+
+    // Spending by category of this and the previous month
+    await spending.loadSpending(userId, exchangeRates);
+
+    // Load balance
+    await loadBalance(userId);
 
   } catch (error) {
     console.error('Failed to load dashboard:', error);
@@ -54,8 +207,59 @@ export async function loadDashboard() {
   }
 }
 
+/**
+ * Load exchange rates against the account currency
+ * Without rates foreign amounts are shown in their own currency only.
+ */
+async function loadExchangeRates() {
+  try {
+    exchangeRates = await api.getExchangeRates(money.DEFAULT_CURRENCY, { key: 'dashboard-rates' });
+  } catch (error) {
+    if (api.isAbortError(error)) return;
+
+    console.warn('Failed to load exchange rates:', error);
+  }
+}
+
+/**
+ * Re-render loaded goals and transactions once exchange rates are known
+ */
+function renderConvertedAmounts() {
+  if (!exchangeRates) return;
+
+  if (goalsData.length > 0) {
+    renderLiveGoals();
+  }
+
+  const transactionsContainer = document.getElementById('transactions-table');
+
+  if (transactionsContainer && transactionsData.length > 0) {
+    renderTransactions(transactionsContainer);
+  }
+}
+
+/**
+ * Approximate value in account currency for foreign amounts
+ * @param {Object} value - Money
+ * @returns {string} HTML, empty for account currency or unknown rates
+ */
+function renderConverted(value) {
+  if (value.currency === money.DEFAULT_CURRENCY || !exchangeRates) {
+    return '';
+  }
+
+  try {
+    const converted = money.convert(value, money.DEFAULT_CURRENCY, exchangeRates);
+    return `<small style="display: block; color: var(--text-secondary); font-weight: 400;">≈ ${ui.formatCurrency(converted)}</small>`;
+  } catch (error) {
+    console.warn('Cannot convert amount:', error);
+    return '';
+  }
+}
+
 /**
  * Load user goals
+ * Renders cached goals immediately and re-renders after revalidation
  * @param {number} userId 
  */
 async function loadGoals(userId) {
@@ -66,43 +270,93 @@ async function loadGoals(userId) {
   ui.showLoading(goalsContainer);
 
   try {
-    goalsData = await api.getUserGoals(userId);
-
-    if (goalsData.length === 0) {
-      goalsContainer.innerHTML = `
-        <div class="empty-state">
-          <div class="empty-state-icon">🎯</div>
-          <p>У вас пока нет финансовых целей</p>
-          <button class="btn btn-primary" onclick="document.getElementById('create-goal-btn').click()">
-            Создать первую цель
-          </button>
-        </div>
-      `;
-      return;
-    }
-
-    goalsContainer.innerHTML = goalsData.map(goal => renderGoalCard(goal)).join('');
-
+    // A newer refresh cancels this request instead of racing it
+    await api.watchUserGoals(userId, (goals, meta) => {
+      goalsData = goals;
+      setSectionStale('goals', meta);
+      renderGoals(goalsContainer);
+    }, { key: 'dashboard-goals' });
   } catch (error) {
+    if (api.isAbortError(error)) return;
+
     console.error('Failed to load goals:', error);
     goalsContainer.innerHTML = '<p>Ошибка загрузки целей</p>';
   }
 }
 
+/**
+ * Load contribution history of all goals
+ * Without it goal cards show no forecast.
+ * @param {number} userId 
+ */
+async function loadGoalContributions(userId) {
+  try {
+    contributionsData = await api.getGoalContributions(userId, { key: 'dashboard-contributions' });
+  } catch (error) {
+    if (api.isAbortError(error)) return;
+
+    console.warn('Failed to load goal contributions:', error);
+  }
+}
+
+/**
+ * Forecast of a goal from the loaded contribution history
+ * @param {Object} goal 
+ * @returns {Object} See forecast.forecastGoal()
+ */
+function getGoalForecast(goal) {
+  const contributions = goal.pending
+    ? []
+    : contributionsData && contributionsData.filter(c => c.goal_id === goal.id);
+
+  return forecast.forecastGoal(goal, contributions);
+}
+
+/**
+ * Render goals grid
+ * @param {HTMLElement} goalsContainer 
+ */
+function renderGoals(goalsContainer) {
+  const pendingGoals = offlineQueue.getPending(auth.getCurrentUserId(), 'create_goal').map(entry => ({
+    ...entry.payload,
+    id: entry.temp_id,
+    current_amount: money.money(0, entry.payload.target_amount.currency),
+    pending: true
+  }));
+  const goals = [...goalsData, ...pendingGoals];
+
+  if (goals.length === 0) {
+    goalsContainer.innerHTML = `
+      <div class="empty-state">
+        <div class="empty-state-icon">🎯</div>
+        <p>У вас пока нет финансовых целей</p>
+        <button class="btn btn-primary" onclick="document.getElementById('create-goal-btn').click()">
+          Создать первую цель
+        </button>
+      </div>
+    `;
+    return;
+  }
+
+  goalsContainer.innerHTML = goals.map(goal => renderGoalCard(goal)).join('');
+}
+
 /**
  * Render goal card
  * @param {Object} goal 
  * @returns {string}
  */
 function renderGoalCard(goal) {
-  const progress = Math.min(Math.round((goal.current_amount / goal.target_amount) * 100), 100);
-  const daysLeft = Math.ceil((new Date(goal.deadline) - new Date()) / (1000 * 60 * 60 * 24));
+  const progress = Math.min(Math.round(money.ratio(goal.current_amount, goal.target_amount) * 100), 100);
+  const goalForecast = getGoalForecast(goal);
 
   return `
-    <div class="card hover-lift">
+    <div class="card hover-lift" data-goal-id="${goal.id}" style="${goal.pending ? 'opacity: 0.7;' : ''}">
       <div class="card-header">
-        <h3 class="card-title">${goal.title}</h3>
-        <span class="badge badge-primary">${daysLeft} дней</span>
+        <h3 class="card-title">${utils.escapeHtml(goal.title)}</h3>
+        ${goal.pending
+          ? '<span class="badge badge-warning">Ожидает синхронизации</span>'
+          : renderGoalStatusBadge(goalForecast)}
       </div>
       <div class="card-body">
         <div class="flex-between" style="margin-bottom: 0.5rem;">
@@ -115,134 +369,1341 @@ function renderGoalCard(goal) {
         </div>
         <div class="flex-between" style="margin-top: 1rem; color: var(--text-secondary); font-size: var(--text-sm);">
           <span>${ui.formatCurrency(goal.current_amount)}</span>
-          <span>${ui.formatCurrency(goal.target_amount)}</span>
+          <span style="text-align: right;">${ui.formatCurrency(goal.target_amount)}${renderConverted(goal.target_amount)}</span>
         </div>
+        ${goal.pending ? '' : renderGoalForecast(goalForecast)}
       </div>
-      <div class="card-footer">
+      <div class="card-footer flex-between" style="flex-wrap: wrap; gap: 0.5rem;">
         <small>Дедлайн: ${ui.formatDate(goal.deadline)}</small>
+        ${goal.pending ? '' : renderGoalActions(goal)}
       </div>
     </div>
   `;
 }
 
 /**
- * Load user transactions
- * @param {number} userId 
+ * Render deadline badge of goal card
+ * @param {Object} goalForecast 
+ * @returns {string}
  */
-async function loadTransactions(userId) {
-  const transactionsContainer = document.getElementById('transactions-table');
+function renderGoalStatusBadge(goalForecast) {
+  const { status, daysLeft } = goalForecast;
 
-  if (!transactionsContainer) return;
+  switch (status) {
+    case 'completed':
+      return '<span class="badge badge-success">Цель достигнута</span>';
+    case 'overdue':
+      return `<span class="badge badge-error">Просрочена на ${-daysLeft} дн.</span>`;
+    case 'off_track':
+      return `<span class="badge badge-warning">Отстаёт · ${daysLeft} дн.</span>`;
+    default:
+      return `<span class="badge badge-primary">${daysLeft} дней</span>`;
+  }
+}
 
-  try {
-    transactionsData = await api.getUserTransactions(userId);
+/**
+ * Render required monthly amount and predicted completion
+ * @param {Object} goalForecast 
+ * @returns {string}
+ */
+function renderGoalForecast(goalForecast) {
+  const { status, requiredMonthly, predictedDate } = goalForecast;
 
-    if (transactionsData.length === 0) {
-      transactionsContainer.innerHTML = '<p>Нет транзакций</p>';
-      return;
-    }
+  if (status === 'completed') return '';
 
-    transactionsContainer.innerHTML = `
+  const prediction = predictedDate
+    ? ui.formatDate(predictedDate)
+    : status === 'unknown' ? null : 'нет пополнений';
+
+  return `
+    <div style="margin-top: 0.75rem; font-size: var(--text-sm);">
+      ${requiredMonthly ? `
+        <div class="flex-between">
+          <span>Нужно в месяц</span>
+          <strong>${ui.formatCurrency(requiredMonthly)}</strong>
+        </div>
+      ` : ''}
+      ${prediction ? `
+        <div class="flex-between" style="color: var(--text-secondary);">
+          <span>Прогноз</span>
+          <span>${prediction}</span>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Show forecast and contribution history of a goal
+ * @param {Object} goal 
+ */
+function showGoalDetails(goal) {
+  const goalForecast = getGoalForecast(goal);
+  const { status, daysLeft, remaining, requiredMonthly, monthlyPace, predictedDate } = goalForecast;
+  const history = (contributionsData || [])
+    .filter(c => c.goal_id === goal.id)
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, 12);
+
+  const when = predictedDate ? ui.formatDate(predictedDate) : null;
+  const summaries = {
+    completed: { className: 'alert-success', text: 'Цель достигнута 🎉' },
+    overdue: {
+      className: 'alert-error',
+      text: `Дедлайн прошёл ${-daysLeft} дн. назад, осталось накопить ${ui.formatCurrency(remaining)}.` +
+        (when ? ` Прогноз завершения при текущем темпе: ${when}` : '')
+    },
+    off_track: {
+      className: 'alert-warning',
+      text: `Чтобы успеть к дедлайну, откладывайте ${ui.formatCurrency(requiredMonthly)} в месяц. ` +
+        (when ? `При текущем темпе цель будет достигнута позже: ${when}` : 'В последнее время пополнений не было.')
+    },
+    on_track: { className: 'alert-success', text: `Вы успеваете. Прогноз завершения при текущем темпе: ${when}` },
+    unknown: { className: 'alert-warning', text: 'История пополнений недоступна, прогноз не построен.' }
+  };
+  const summary = summaries[status];
+
+  const stat = (label, value) => `
+    <div>
+      <div style="color: var(--text-secondary); font-size: var(--text-sm);">${label}</div>
+      <div style="font-weight: 600;">${value}</div>
+    </div>
+  `;
+
+  ui.showInfoModal(utils.escapeHtml(goal.title), `
+    <div class="alert ${summary.className}" style="margin-bottom: 1.5rem;">${summary.text}</div>
+
+    <div class="grid grid-2" style="gap: 1rem; margin-bottom: 1.5rem;">
+      ${stat('Накоплено', ui.formatCurrency(goal.current_amount))}
+      ${stat('Цель', ui.formatCurrency(goal.target_amount))}
+      ${stat('Осталось', ui.formatCurrency(remaining))}
+      ${stat('Дедлайн', `${ui.formatDate(goal.deadline)}${daysLeft >= 0 ? ` (${daysLeft} дн.)` : ''}`)}
+      ${requiredMonthly ? stat('Нужно в месяц', ui.formatCurrency(requiredMonthly)) : ''}
+      ${monthlyPace ? stat('Текущий темп', `${ui.formatCurrency(monthlyPace)} в месяц`) : ''}
+      ${when && status !== 'completed' ? stat('Прогноз завершения', when) : ''}
+    </div>
+
+    <h4 style="margin-bottom: 0.5rem;">История пополнений</h4>
+    ${history.length === 0 ? '<p style="color: var(--text-secondary);">Пополнений пока не было</p>' : `
       <table class="table">
-        <thead>
-          <tr>
-            <th>Дата</th>
-            <th>Описание</th>
-            <th>Сумма</th>
-            <th>Тип</th>
-          </tr>
-        </thead>
         <tbody>
-          ${transactionsData.map(t => `
+          ${history.map(c => `
             <tr>
-              <td>${ui.formatDate(t.date)}</td>
-              <td>${t.description}</td>
-              <td style="color: ${t.type === 'credit' ? 'var(--success)' : 'var(--error)'}; font-weight: 600;">
-                ${t.type === 'credit' ? '+' : ''}${ui.formatCurrency(t.amount)}
-              </td>
-              <td>
-                <span class="badge ${t.type === 'credit' ? 'badge-success' : 'badge-warning'}">
-                  ${t.type === 'credit' ? 'Поступление' : 'Списание'}
-                </span>
+              <td>${ui.formatDate(c.date)}</td>
+              <td style="text-align: right; color: ${c.amount.amount > 0 ? 'var(--success)' : 'var(--error)'};">
+                ${ui.formatCurrency(c.amount, { sign: true })}
               </td>
             </tr>
           `).join('')}
         </tbody>
       </table>
-    `;
+    `}
+  `);
+}
 
-  } catch (error) {
-    console.error('Failed to load transactions:', error);
-  }
+/**
+ * Render action buttons of goal card
+ * @param {Object} goal 
+ * @returns {string}
+ */
+function renderGoalActions(goal) {
+  const busy = busyGoalIds.has(goal.id);
+  const disabled = busy ? 'disabled' : '';
+
+  return `
+    <div class="flex gap-sm" style="flex-wrap: wrap;">
+      <button class="btn btn-sm btn-primary" data-goal-action="contribute" ${disabled}>Пополнить</button>
+      <button class="btn btn-sm btn-outline" data-goal-action="withdraw" ${busy || goal.current_amount.amount === 0 ? 'disabled' : ''}>Снять</button>
+      <button class="btn btn-sm btn-ghost" data-goal-action="details" title="Прогноз" aria-label="Прогноз по цели">📈</button>
+      <button class="btn btn-sm btn-ghost" data-goal-action="edit" title="Изменить" aria-label="Изменить цель" ${disabled}>✏️</button>
+      <button class="btn btn-sm btn-ghost" data-goal-action="delete" title="Удалить" aria-label="Удалить цель" ${disabled}>🗑️</button>
+    </div>
+  `;
 }
 
 /**
- * Update balance display
+ * Dispatch click on a goal card action button
+ * @param {Event} event 
  */
-function updateBalance() {
-  const user = auth.getCurrentUser();
-  const balanceEl = document.getElementById('balance-amount');
+function handleGoalAction(event) {
+  const button = event.target.closest('[data-goal-action]');
+  const card = button && button.closest('[data-goal-id]');
+
+  if (!card || button.disabled) return;
+
+  const goal = goalsData.find(g => String(g.id) === card.dataset.goalId);
+  const action = button.dataset.goalAction;
+
+  if (!goal || busyGoalIds.has(goal.id)) return;
 
-  if (balanceEl && user && user.balance) {
-    balanceEl.textContent = ui.formatCurrency(user.balance);
+  // The server would reject the transfer anyway
+  if ((action === 'contribute' || action === 'withdraw') && !auth.isEmailVerified()) {
+    ui.showToast('Подтвердите email, чтобы переводить деньги', 'warning');
+    return;
+  }
+
+  switch (action) {
+    case 'contribute':
+    case 'withdraw':
+      showTransferModal(goal, action);
+      break;
+    case 'details':
+      showGoalDetails(goal);
+      break;
+    case 'edit':
+      showEditGoalModal(goal);
+      break;
+    case 'delete':
+      handleDeleteGoal(goal);
+      break;
   }
 }
 
 /**
- * Handle create goal form submission
- * @param {Event} event 
+ * Open modal with a form
+ * The modal stays open while onSubmit returns false (e.g. invalid input).
+ * @param {string} title 
+ * @param {string} fields - Form fields HTML
+ * @param {string} submitText 
+ * @param {Function} onSubmit - (form) => boolean
+ * @returns {HTMLFormElement}
  */
-async function handleCreateGoal(event) {
-  event.preventDefault();
+function openFormModal(title, fields, submitText, onSubmit) {
+  const modal = document.createElement('div');
+  modal.className = 'modal-overlay';
+  modal.innerHTML = `
+    <div class="modal">
+      <div class="modal-header">
+        <h3 class="modal-title">${title}</h3>
+      </div>
+      <div class="modal-body">
+        <form novalidate>
+          ${fields}
+          <div class="modal-footer">
+            <button type="button" class="btn btn-ghost" data-action="cancel">Отмена</button>
+            <button type="submit" class="btn btn-primary">${submitText}</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  `;
 
-  const form = event.target;
-  const title = form.goal_title.value;
-  const targetAmount = parseFloat(form.target_amount.value);
-  const deadline = form.deadline.value;
+  const close = () => {
+    modal.classList.remove('active');
+    setTimeout(() => modal.remove(), 300);
+  };
 
-  // Validate
-  const isValid = validator.validateForm(form, {
-    goal_title: [(val) => validator.validateRequired(val, 'Название цели')],
-    target_amount: [(val) => validator.validateNumber(val, 1000)],
-    deadline: [(val) => validator.validateDate(val)]
+  document.body.appendChild(modal);
+  setTimeout(() => modal.classList.add('active'), 10);
+
+  // Close on overlay click, but not on modal content click
+  modal.querySelector('.modal').addEventListener('click', (e) => e.stopPropagation());
+  modal.addEventListener('click', close);
+  modal.querySelector('[data-action="cancel"]').addEventListener('click', close);
+
+  const form = modal.querySelector('form');
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (onSubmit(form)) close();
   });
 
-  if (!isValid) return;
+  form.querySelector('input, select').focus();
 
-  const submitBtn = form.querySelector('button[type="submit"]');
-  submitBtn.disabled = true;
-  submitBtn.textContent = 'Создание...';
+  return form;
+}
+
+/**
+ * Validators of an amount input in a currency
+ * @param {string} currency 
+ * @param {number} min - Major units
+ * @param {number|null} max - Major units
+ * @returns {Array<Function>}
+ */
+function amountRules(currency, min, max = null) {
+  return [
+    (val) => validator.validateNumber(val, min, max),
+    (val) => ({
+      ok: money.parse(val, currency) !== null,
+      message: `Не больше ${money.CURRENCIES[currency].decimals} знаков после запятой`
+    })
+  ];
+}
+
+/**
+ * Amount in account currency, for the balance side of a transfer
+ * @param {Object} value - Money
+ * @returns {Object|null} Money, or null when rates are unknown
+ */
+function toAccountCurrency(value) {
+  if (value.currency === money.DEFAULT_CURRENCY) return value;
+  if (!exchangeRates) return null;
 
   try {
-    const userId = auth.getCurrentUserId();
-    await api.createGoal(userId, {
-      title,
-      target_amount: targetAmount,
-      deadline
-    });
+    return money.convert(value, money.DEFAULT_CURRENCY, exchangeRates);
+  } catch (error) {
+    return null;
+  }
+}
 
-    ui.showToast('Цель создана успешно', 'success');
-    form.reset();
+/**
+ * Replace goal in the list and re-render
+ * @param {Object} goal 
+ */
+function replaceGoal(goal) {
+  goalsData = goalsData.map(g => g.id === goal.id ? goal : g);
+  renderLiveGoals();
+}
 
-    // Reload goals
-    await loadGoals(userId);
+/**
+ * Ask for amount to move between balance and goal
+ * @param {Object} goal 
+ * @param {string} operation - contribute, withdraw
+ */
+function showTransferModal(goal, operation) {
+  const { currency } = goal.target_amount;
+  const isWithdraw = operation === 'withdraw';
+  const min = 1 / 10 ** money.CURRENCIES[currency].decimals;
+  const max = isWithdraw ? money.toMajor(goal.current_amount) : null;
 
-    // Close modal if exists
-    const modal = form.closest('.modal-overlay');
-    if (modal) {
-      modal.classList.remove('active');
-      setTimeout(() => modal.remove(), 300);
+  openFormModal(
+    `${isWithdraw ? 'Снять с цели' : 'Пополнить цель'} «${utils.escapeHtml(goal.title)}»`,
+    `
+      <div class="form-group">
+        <label class="form-label" for="transfer_amount">Сумма, ${money.CURRENCIES[currency].symbol}</label>
+        <input type="number" id="transfer_amount" name="amount" class="form-input" min="${min}" step="${min}" ${max !== null ? `max="${max}"` : ''} required>
+        <small style="color: var(--text-secondary);">
+          ${isWithdraw ? `На цели: ${ui.formatCurrency(goal.current_amount)}` : 'Сумма будет списана с баланса'}
+        </small>
+      </div>
+    `,
+    isWithdraw ? 'Снять' : 'Пополнить',
+    (form) => {
+      if (!validator.validateForm(form, { amount: amountRules(currency, min, max) })) {
+        return false;
+      }
+
+      handleGoalTransfer(goal, operation, money.parse(form.amount.value, currency));
+      return true;
+    }
+  );
+}
+
+/**
+ * Move money between balance and goal
+ * Shows the result immediately and rolls back if the server refuses.
+ * @param {Object} goal 
+ * @param {string} operation - contribute, withdraw
+ * @param {Object} amount - Money in the goal's currency
+ */
+async function handleGoalTransfer(goal, operation, amount) {
+  const userId = auth.getCurrentUserId();
+  const isWithdraw = operation === 'withdraw';
+  const user = auth.getCurrentUser();
+  const previousBalance = user && user.balance;
+  const balanceDelta = toAccountCurrency(amount);
+
+  busyGoalIds.add(goal.id);
+  replaceGoal({
+    ...goal,
+    current_amount: isWithdraw ? money.subtract(goal.current_amount, amount) : money.add(goal.current_amount, amount)
+  });
+
+  if (previousBalance && balanceDelta && previousBalance.currency === balanceDelta.currency) {
+    setBalance(isWithdraw ? money.add(previousBalance, balanceDelta) : money.subtract(previousBalance, balanceDelta));
+  }
+
+  try {
+    const transfer = isWithdraw ? api.withdrawFromGoal : api.contributeToGoal;
+    const result = await transfer(userId, goal.id, amount, api.generateIdempotencyKey());
+
+    if (contributionsData) {
+      contributionsData = [...contributionsData, {
+        goal_id: goal.id,
+        date: new Date().toISOString().split('T')[0],
+        amount: isWithdraw ? money.negate(amount) : amount
+      }];
     }
 
+    busyGoalIds.delete(goal.id);
+    replaceGoal(result.goal);
+    setBalance(result.balance);
+    ui.showToast(isWithdraw ? 'Средства возвращены на баланс' : 'Цель пополнена', 'success');
   } catch (error) {
-    console.error('Failed to create goal:', error);
-    ui.showToast('Ошибка создания цели', 'error');
-  } finally {
-    submitBtn.disabled = false;
-    submitBtn.textContent = 'Создать цель';
+    console.error(`Failed to ${operation} goal:`, error);
+
+    busyGoalIds.delete(goal.id);
+    replaceGoal(goal);
+    if (previousBalance) {
+      setBalance(previousBalance);
+    }
+
+    ui.showToast(api.getErrorMessage(error, isWithdraw ? 'Не удалось снять средства' : 'Не удалось пополнить цель'), 'error');
   }
 }
 
+/**
+ * Show goal edit form
+ * @param {Object} goal 
+ */
+function showEditGoalModal(goal) {
+  const { currency } = goal.target_amount;
+
+  const form = openFormModal(
+    'Изменить цель',
+    `
+      <div class="form-group">
+        <label class="form-label" for="edit_goal_title">Название цели</label>
+        <input type="text" id="edit_goal_title" name="goal_title" class="form-input" required>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label" for="edit_target_amount">Целевая сумма, ${money.CURRENCIES[currency].symbol}</label>
+        <input type="number" id="edit_target_amount" name="target_amount" class="form-input" min="0" step="0.01" required>
+      </div>
+
+      <div class="form-group">
+        <label class="form-label" for="edit_deadline">Дедлайн</label>
+        <input type="date" id="edit_deadline" name="deadline" class="form-input" required>
+      </div>
+    `,
+    'Сохранить',
+    (form) => {
+      const isValid = validator.validateForm(form, {
+        goal_title: [(val) => validator.validateRequired(val, 'Название цели')],
+        target_amount: amountRules(currency, MIN_GOAL_AMOUNTS[currency]),
+        deadline: [(val) => validator.validateDate(val)]
+      });
+
+      if (!isValid) return false;
+
+      const updates = {};
+      const title = form.goal_title.value.trim();
+      const targetAmount = money.parse(form.target_amount.value, currency);
+
+      if (title !== goal.title) updates.title = title;
+      if (money.compare(targetAmount, goal.target_amount) !== 0) updates.target_amount = targetAmount;
+      if (form.deadline.value !== goal.deadline) updates.deadline = form.deadline.value;
+
+      if (Object.keys(updates).length > 0) {
+        handleGoalUpdate(goal, updates);
+      }
+
+      return true;
+    }
+  );
+
+  // Values are set as properties, so titles need no escaping
+  form.goal_title.value = goal.title;
+  form.target_amount.value = money.toDecimalString(goal.target_amount);
+  form.deadline.value = goal.deadline.slice(0, 10);
+}
+
+/**
+ * Save goal changes
+ * Shows the result immediately and rolls back if the server refuses.
+ * @param {Object} goal 
+ * @param {Object} updates - {title, target_amount, deadline}
+ */
+async function handleGoalUpdate(goal, updates) {
+  busyGoalIds.add(goal.id);
+  replaceGoal({ ...goal, ...updates });
+
+  try {
+    const updated = await api.updateGoal(auth.getCurrentUserId(), goal.id, updates);
+
+    busyGoalIds.delete(goal.id);
+    replaceGoal(updated);
+    ui.showToast('Цель обновлена', 'success');
+  } catch (error) {
+    console.error('Failed to update goal:', error);
+
+    busyGoalIds.delete(goal.id);
+    replaceGoal(goal);
+    ui.showToast(api.getErrorMessage(error, 'Не удалось изменить цель'), 'error');
+  }
+}
+
+/**
+ * Delete goal after confirmation
+ * Savings of the goal go back to the balance.
+ * @param {Object} goal 
+ */
+async function handleDeleteGoal(goal) {
+  const hasSavings = goal.current_amount.amount > 0;
+  const confirmed = await ui.showConfirmModal(
+    'Удалить цель?',
+    `Цель «${utils.escapeHtml(goal.title)}» будет удалена.` +
+      (hasSavings ? ` Накопленные ${ui.formatCurrency(goal.current_amount)} вернутся на баланс.` : ''),
+    'Удалить'
+  );
+
+  if (!confirmed || busyGoalIds.has(goal.id)) return;
+
+  const index = goalsData.findIndex(g => g.id === goal.id);
+  const user = auth.getCurrentUser();
+  const previousBalance = user && user.balance;
+  const refund = hasSavings ? toAccountCurrency(goal.current_amount) : null;
+
+  goalsData = goalsData.filter(g => g.id !== goal.id);
+  renderLiveGoals();
+
+  if (previousBalance && refund && previousBalance.currency === refund.currency) {
+    setBalance(money.add(previousBalance, refund));
+  }
+
+  try {
+    const result = await api.deleteGoal(auth.getCurrentUserId(), goal.id);
+
+    if (result.balance) {
+      setBalance(result.balance);
+    }
+    ui.showToast('Цель удалена', 'success');
+  } catch (error) {
+    console.error('Failed to delete goal:', error);
+
+    // Put the card back where it was, unless a pushed update already did
+    if (!goalsData.some(g => g.id === goal.id)) {
+      goalsData = [...goalsData.slice(0, index), goal, ...goalsData.slice(index)];
+    }
+    renderLiveGoals();
+    if (previousBalance) {
+      setBalance(previousBalance);
+    }
+
+    ui.showToast(api.getErrorMessage(error, 'Не удалось удалить цель'), 'error');
+  }
+}
+
+/**
+ * Load user transactions
+ * Renders cached transactions immediately and re-renders after revalidation
+ * @param {number} userId 
+ */
+async function loadTransactions(userId) {
+  const transactionsContainer = document.getElementById('transactions-table');
+
+  if (!transactionsContainer) return;
+
+  // The table is about to be replaced, so pending "load more" is obsolete
+  api.abortRequest('dashboard-transactions-more');
+  updateTransactionFiltersReset();
+
+  const showPage = (page, meta) => {
+    transactionsData = page.items;
+    transactionsCursor = page.next_cursor;
+    setSectionStale('transactions', meta);
+    renderTransactions(transactionsContainer);
+  };
+
+  try {
+    if (isDefaultTransactionView()) {
+      await api.watchUserTransactions(userId, showPage, { key: 'dashboard-transactions' });
+      return;
+    }
+
+    // Filtered views aren't cached: every combination would be a separate entry
+    transactionsContainer.style.opacity = '0.6';
+    const page = await api.getUserTransactions(userId, getTransactionQuery(), { key: 'dashboard-transactions' });
+    showPage(page, { stale: false });
+  } catch (error) {
+    if (api.isAbortError(error)) return;
+
+    console.error('Failed to load transactions:', error);
+
+    if (!isDefaultTransactionView()) {
+      transactionsContainer.innerHTML = '<p>Ошибка загрузки транзакций</p>';
+    }
+  } finally {
+    transactionsContainer.style.opacity = '';
+  }
+}
+
+/**
+ * Restore transaction filters from the URL and wire up the filter form
+ */
+function initTransactionFilters() {
+  const form = document.getElementById('transactions-filters');
+  const transactionsContainer = document.getElementById('transactions-table');
+
+  transactionFilters = readTransactionFilters();
+
+  if (transactionsContainer) {
+    transactionsContainer.addEventListener('click', handleTransactionTableClick);
+  }
+
+  if (!form) return;
+
+  fillTransactionFilterForm(form);
+
+  // Search applies while typing without adding a history entry per keystroke
+  const applySearch = utils.debounce(() => applyTransactionFilters(form, { replace: true }), 400);
+
+  form.addEventListener('input', (e) => {
+    if (e.target.name === 'q') applySearch();
+  });
+
+  form.addEventListener('change', (e) => {
+    if (e.target.name !== 'q') applyTransactionFilters(form);
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    applyTransactionFilters(form);
+  });
+
+  const resetBtn = document.getElementById('transactions-filters-reset');
+  if (resetBtn) {
+    resetBtn.addEventListener('click', resetTransactionFilters);
+  }
+
+  // Back/forward between filtered views
+  window.addEventListener('popstate', () => {
+    transactionFilters = readTransactionFilters();
+    fillTransactionFilterForm(form);
+    loadTransactions(auth.getCurrentUserId());
+  });
+}
+
+/**
+ * Read transaction filters from the URL
+ * Malformed values are ignored, so an edited link still opens.
+ * @returns {Object} {q, type, from, to, min, max, sort, order}
+ */
+function readTransactionFilters() {
+  const params = utils.getQueryParams();
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value).getTime());
+  const isAmount = (value) => Boolean(value) && parseFilterAmount(value) !== null;
+  const sort = TRANSACTION_SORT_ORDERS[params.sort] ? params.sort : 'date';
+
+  return {
+    q: (params.q || '').trim(),
+    type: ['credit', 'debit'].includes(params.type) ? params.type : '',
+    from: isDate(params.from) ? params.from : '',
+    to: isDate(params.to) ? params.to : '',
+    min: isAmount(params.min) ? params.min : '',
+    max: isAmount(params.max) ? params.max : '',
+    sort,
+    order: ['asc', 'desc'].includes(params.order) ? params.order : TRANSACTION_SORT_ORDERS[sort]
+  };
+}
+
+/**
+ * Parse amount filter input
+ * @param {string} value - Amount in major units of the account currency
+ * @returns {Object|null} Money, null when not a non-negative amount
+ */
+function parseFilterAmount(value) {
+  const parsed = money.parse(value, money.DEFAULT_CURRENCY);
+  return parsed && parsed.amount >= 0 ? parsed : null;
+}
+
+/**
+ * Whether the list is narrowed by any filter
+ * @returns {boolean}
+ */
+function hasTransactionFilters() {
+  return TRANSACTION_FILTER_FIELDS.some(field => transactionFilters[field]);
+}
+
+/**
+ * Whether the list is unfiltered and newest first
+ * @returns {boolean}
+ */
+function isDefaultTransactionView() {
+  return !hasTransactionFilters() && transactionFilters.sort === 'date' && transactionFilters.order === 'desc';
+}
+
+/**
+ * Transaction filters as API query
+ * @returns {Object} See api.getUserTransactions()
+ */
+function getTransactionQuery() {
+  const { q, type, from, to, min, max, sort, order } = transactionFilters;
+
+  return {
+    q,
+    type,
+    from,
+    to,
+    min_amount: min ? parseFilterAmount(min).amount : null,
+    max_amount: max ? parseFilterAmount(max).amount : null,
+    currency: min || max ? money.DEFAULT_CURRENCY : null,
+    sort,
+    order
+  };
+}
+
+/**
+ * Show current filters in the form
+ * @param {HTMLFormElement} form 
+ */
+function fillTransactionFilterForm(form) {
+  TRANSACTION_FILTER_FIELDS.forEach(field => {
+    form[field].value = transactionFilters[field];
+    validator.clearError(form[field]);
+  });
+}
+
+/**
+ * Validate the filter form and show the filtered list
+ * @param {HTMLFormElement} form 
+ * @param {Object} options - {replace: update the URL without a new history entry}
+ */
+function applyTransactionFilters(form, { replace = false } = {}) {
+  const values = Object.fromEntries(TRANSACTION_FILTER_FIELDS.map(field => [field, form[field].value.trim()]));
+  const errors = {};
+
+  ['min', 'max'].forEach(field => {
+    if (values[field] && !parseFilterAmount(values[field])) {
+      errors[field] = 'Введите сумму';
+    }
+  });
+
+  if (!errors.min && !errors.max && values.min && values.max &&
+      money.compare(parseFilterAmount(values.min), parseFilterAmount(values.max)) > 0) {
+    errors.max = 'Меньше минимальной суммы';
+  }
+
+  if (values.from && values.to && values.from > values.to) {
+    errors.to = 'Раньше начальной даты';
+  }
+
+  TRANSACTION_FILTER_FIELDS.forEach(field => {
+    if (errors[field]) {
+      validator.showError(form[field], errors[field]);
+    } else {
+      validator.clearError(form[field]);
+    }
+  });
+
+  if (Object.keys(errors).length > 0) return;
+
+  setTransactionFilters({ ...transactionFilters, ...values }, { replace });
+}
+
+/**
+ * Show all transactions, newest first
+ */
+function resetTransactionFilters() {
+  const form = document.getElementById('transactions-filters');
+
+  setTransactionFilters({
+    ...Object.fromEntries(TRANSACTION_FILTER_FIELDS.map(field => [field, ''])),
+    sort: 'date',
+    order: 'desc'
+  });
+
+  if (form) {
+    fillTransactionFilterForm(form);
+  }
+}
+
+/**
+ * Save filters to the URL and reload the list
+ * @param {Object} filters - {q, type, from, to, min, max, sort, order}
+ * @param {Object} options - {replace: update the URL without a new history entry}
+ */
+function setTransactionFilters(filters, { replace = false } = {}) {
+  const unchanged = Object.keys(filters).every(key => filters[key] === transactionFilters[key]);
+
+  transactionFilters = filters;
+
+  if (unchanged) return;
+
+  utils.setQueryParams({
+    ...Object.fromEntries(TRANSACTION_FILTER_FIELDS.map(field => [field, filters[field]])),
+    sort: filters.sort === 'date' ? '' : filters.sort,
+    order: filters.order === TRANSACTION_SORT_ORDERS[filters.sort] ? '' : filters.order
+  }, { replace });
+
+  loadTransactions(auth.getCurrentUserId());
+}
+
+/**
+ * Show reset button while the view differs from the default
+ */
+function updateTransactionFiltersReset() {
+  const resetBtn = document.getElementById('transactions-filters-reset');
+
+  if (resetBtn) {
+    resetBtn.style.display = isDefaultTransactionView() ? 'none' : '';
+  }
+}
+
+/**
+ * Handle sort header and reset clicks in the transactions table
+ * @param {MouseEvent} event 
+ */
+function handleTransactionTableClick(event) {
+  if (event.target.closest('[data-reset-filters]')) {
+    resetTransactionFilters();
+    return;
+  }
+
+  const categoryButton = event.target.closest('[data-categorize]');
+  if (categoryButton) {
+    const transaction = transactionsData.find(t => String(t.id) === categoryButton.dataset.categorize);
+    if (transaction) showCategoryModal(transaction);
+    return;
+  }
+
+  const button = event.target.closest('[data-sort]');
+  if (!button) return;
+
+  const { sort } = button.dataset;
+  const order = sort === transactionFilters.sort
+    ? (transactionFilters.order === 'asc' ? 'desc' : 'asc')
+    : TRANSACTION_SORT_ORDERS[sort];
+
+  setTransactionFilters({ ...transactionFilters, sort, order });
+}
+
+/**
+ * Render transactions table
+ * @param {HTMLElement} transactionsContainer 
+ */
+function renderTransactions(transactionsContainer) {
+  if (transactionsData.length === 0) {
+    transactionsContainer.innerHTML = hasTransactionFilters()
+      ? `
+        <div class="empty-state">
+          <p>Ничего не найдено</p>
+          <button type="button" class="btn btn-ghost" data-reset-filters>Сбросить фильтры</button>
+        </div>
+      `
+      : '<p>Нет транзакций</p>';
+    updateLoadMore(transactionsContainer);
+    return;
+  }
+
+  transactionsContainer.innerHTML = `
+    <table class="table">
+      <thead>
+        <tr>
+          ${renderSortHeader('date', 'Дата')}
+          ${renderSortHeader('description', 'Описание')}
+          ${renderSortHeader('amount', 'Сумма')}
+          <th>Тип</th>
+          <th>Категория</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${renderTransactionRows(transactionsData)}
+      </tbody>
+    </table>
+    <div class="flex-center" style="padding: 1rem;" id="transactions-more"></div>
+  `;
+
+  updateLoadMore(transactionsContainer);
+}
+
+/**
+ * Ask for statement period and format, then export
+ * The period defaults to the dates of the transaction filter, or the current month.
+ */
+function showStatementModal() {
+  const today = new Date().toISOString().split('T')[0];
+  const from = transactionFilters.from || `${today.slice(0, 7)}-01`;
+  const to = transactionFilters.to || today;
+
+  openFormModal('Выписка по счёту', `
+    <div class="grid grid-2">
+      <div class="form-group">
+        <label class="form-label" for="statement_from">С</label>
+        <input type="date" id="statement_from" name="from" class="form-input" value="${from}">
+      </div>
+      <div class="form-group">
+        <label class="form-label" for="statement_to">По</label>
+        <input type="date" id="statement_to" name="to" class="form-input" value="${to}">
+      </div>
+    </div>
+    <div class="form-group">
+      <label class="form-label" for="statement_format">Формат</label>
+      <select id="statement_format" name="format" class="form-select">
+        ${Object.entries(statement.FORMATS).map(([id, format]) => `<option value="${id}">${format.name}</option>`).join('')}
+      </select>
+    </div>
+  `, 'Сформировать', (form) => {
+    const isValid = validator.validateForm(form, {
+      from: [validator.validateDate],
+      to: [validator.validateDate]
+    });
+
+    if (!isValid) return false;
+
+    if (form.from.value > form.to.value) {
+      validator.showError(form.to, 'Раньше даты начала');
+      return false;
+    }
+
+    handleStatementExport({ from: form.from.value, to: form.to.value }, form.format.value);
+    return true;
+  });
+}
+
+/**
+ * Export statement and report the result
+ * @param {Object} period - {from, to}
+ * @param {string} format - Key of statement.FORMATS
+ */
+async function handleStatementExport(period, format) {
+  const button = document.getElementById('statement-export-btn');
+
+  if (button) button.disabled = true;
+
+  try {
+    const result = await statement.exportStatement(auth.getCurrentUserId(), period, format);
+
+    if (format !== 'print') {
+      ui.showToast(`Выписка сохранена, операций: ${result.items.length}`, 'success');
+    }
+  } catch (error) {
+    if (api.isAbortError(error)) return;
+
+    console.error('Failed to export statement:', error);
+    ui.showToast(api.getErrorMessage(error, 'Не удалось сформировать выписку'), 'error');
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
+/**
+ * Ask for the category of a transaction
+ * The choice applies to every transaction with the same description.
+ * @param {Object} transaction 
+ */
+function showCategoryModal(transaction) {
+  const overridden = categories.isOverridden(transaction);
+  const current = categories.categorize(transaction);
+  const automatic = categories.getCategory(categories.matchRules(transaction));
+
+  openFormModal('Категория операции', `
+    <p style="margin-bottom: 1rem;"><strong>${utils.escapeHtml(transaction.description)}</strong></p>
+    <div class="form-group">
+      <label class="form-label" for="transaction_category">Категория</label>
+      <select id="transaction_category" name="category" class="form-select">
+        <option value="" ${overridden ? '' : 'selected'}>Автоматически: ${automatic.icon} ${automatic.name}</option>
+        ${Object.entries(categories.CATEGORIES).map(([id, category]) => `
+          <option value="${id}" ${overridden && id === current ? 'selected' : ''}>${category.icon} ${category.name}</option>
+        `).join('')}
+      </select>
+      <small style="color: var(--text-secondary);">Выбор запомнится для всех операций «${utils.escapeHtml(transaction.description)}»</small>
+    </div>
+  `, 'Сохранить', (form) => {
+    categories.setOverride(transaction.description, form.category.value || null);
+    ui.showToast('Категория сохранена', 'success');
+    return true;
+  });
+}
+
+/**
+ * Render sortable column header
+ * @param {string} sort - Sort field
+ * @param {string} label 
+ * @returns {string}
+ */
+function renderSortHeader(sort, label) {
+  const active = transactionFilters.sort === sort;
+  const ascending = transactionFilters.order === 'asc';
+
+  return `
+    <th aria-sort="${active ? (ascending ? 'ascending' : 'descending') : 'none'}">
+      <button type="button" class="btn btn-ghost btn-sm" data-sort="${sort}" style="padding: 0; font-weight: inherit;">
+        ${label}${active ? (ascending ? ' ↑' : ' ↓') : ''}
+      </button>
+    </th>
+  `;
+}
+
+/**
+ * Render transaction table rows
+ * @param {Array<Object>} transactions 
+ * @returns {string}
+ */
+function renderTransactionRows(transactions) {
+  const overrides = categories.getOverrides();
+  return transactions.map(t => renderTransactionRow(t, overrides)).join('');
+}
+
+/**
+ * Render transaction table row
+ * @param {Object} t - Transaction
+ * @param {Object} overrides - Categories picked by the user, see categories.getOverrides()
+ * @returns {string}
+ */
+function renderTransactionRow(t, overrides) {
+  const category = categories.getCategory(categories.categorize(t, overrides));
+
+  return `
+    <tr>
+      <td>${ui.formatDate(t.date)}</td>
+      <td>${utils.escapeHtml(t.description)}</td>
+      <td style="color: ${t.type === 'credit' ? 'var(--success)' : 'var(--error)'}; font-weight: 600;">
+        ${ui.formatCurrency(t.amount, { sign: t.type === 'credit' })}
+        ${renderConverted(t.amount)}
+      </td>
+      <td>
+        <span class="badge ${t.type === 'credit' ? 'badge-success' : 'badge-warning'}">
+          ${t.type === 'credit' ? 'Поступление' : 'Списание'}
+        </span>
+      </td>
+      <td>
+        <button type="button" class="badge" data-categorize="${t.id}" title="Изменить категорию"
+          style="border: none; cursor: pointer; background: ${category.color}22; color: var(--text-primary);">
+          ${category.icon} ${category.name}
+        </button>
+      </td>
+    </tr>
+  `;
+}
+
+/**
+ * Show "load more" button while more pages exist
+ * The button is also loaded automatically when scrolled into view.
+ * @param {HTMLElement} transactionsContainer 
+ */
+function updateLoadMore(transactionsContainer) {
+  const moreEl = transactionsContainer.querySelector('#transactions-more');
+
+  if (transactionsObserver) {
+    transactionsObserver.disconnect();
+    transactionsObserver = null;
+  }
+
+  if (!moreEl) return;
+
+  if (!transactionsCursor) {
+    moreEl.innerHTML = '';
+    return;
+  }
+
+  moreEl.innerHTML = '<button class="btn btn-ghost" id="transactions-load-more">Загрузить ещё</button>';
+
+  const button = moreEl.querySelector('#transactions-load-more');
+  button.addEventListener('click', () => loadMoreTransactions(transactionsContainer));
+
+  if ('IntersectionObserver' in window) {
+    transactionsObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        loadMoreTransactions(transactionsContainer);
+      }
+    }, { rootMargin: '200px' });
+    transactionsObserver.observe(button);
+  }
+}
+
+/**
+ * Load next page of transactions and append it to the table
+ * @param {HTMLElement} transactionsContainer 
+ */
+async function loadMoreTransactions(transactionsContainer) {
+  if (!transactionsCursor || loadingMoreTransactions) return;
+
+  loadingMoreTransactions = true;
+
+  const button = transactionsContainer.querySelector('#transactions-load-more');
+  if (button) {
+    button.disabled = true;
+    button.textContent = 'Загрузка...';
+  }
+
+  try {
+    const page = await api.getUserTransactions(
+      auth.getCurrentUserId(),
+      { ...getTransactionQuery(), cursor: transactionsCursor },
+      { key: 'dashboard-transactions-more' }
+    );
+
+    transactionsData = [...transactionsData, ...page.items];
+    transactionsCursor = page.next_cursor;
+
+    const tbody = transactionsContainer.querySelector('tbody');
+    tbody.insertAdjacentHTML('beforeend', renderTransactionRows(page.items));
+
+    updateLoadMore(transactionsContainer);
+  } catch (error) {
+    if (api.isAbortError(error)) return;
+
+    console.error('Failed to load more transactions:', error);
+    ui.showToast(api.getErrorMessage(error, 'Ошибка загрузки транзакций'), 'error');
+
+    if (button) {
+      button.disabled = false;
+      button.textContent = 'Загрузить ещё';
+    }
+  } finally {
+    loadingMoreTransactions = false;
+  }
+}
+
+/**
+ * Track whether a section shows data that could not be revalidated
+ * @param {string} section 
+ * @param {{stale: boolean, updatedAt: number}} meta 
+ */
+function setSectionStale(section, meta) {
+  if (meta.stale) {
+    staleSections.add(section);
+  } else {
+    staleSections.delete(section);
+  }
+
+  updateStaleNotice(meta.stale ? meta.updatedAt : null);
+}
+
+/**
+ * Show or hide the offline/stale data notice
+ * @param {number|null} updatedAt - Timestamp of the cached data
+ */
+function updateStaleNotice(updatedAt = null) {
+  const notice = document.getElementById('stale-notice');
+
+  if (!notice) return;
+
+  if (staleSections.size === 0 && navigator.onLine) {
+    notice.style.display = 'none';
+    return;
+  }
+
+  const time = updatedAt
+    ? new Date(updatedAt).toLocaleString('ru-RU', { day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' })
+    : null;
+
+  // Online but stale: the server failed or returned unexpected data
+  const reason = navigator.onLine ? 'Не удалось обновить данные' : 'Нет соединения';
+
+  notice.textContent = time
+    ? `${reason}. Показаны сохранённые данные от ${time}.`
+    : `${reason}. Данные могут быть неактуальны.`;
+  notice.style.display = '';
+}
+
+/**
+ * Load current balance
+ * Shows the balance saved at login until the server answers.
+ * @param {number} userId 
+ */
+async function loadBalance(userId) {
+  const user = auth.getCurrentUser();
+
+  if (user && money.isMoney(user.balance)) {
+    renderBalance(user.balance);
+  }
+
+  try {
+    const { balance } = await api.getBalance(userId, { key: 'dashboard-balance' });
+    setBalance(balance);
+  } catch (error) {
+    if (api.isAbortError(error)) return;
+
+    console.error('Failed to load balance:', error);
+  }
+}
+
+/**
+ * Store and display new balance
+ * @param {Object} balance - Money
+ */
+function setBalance(balance) {
+  auth.updateCurrentUser({ balance });
+  renderBalance(balance);
+}
+
+/**
+ * Update balance display
+ * @param {Object} balance - Money
+ */
+function renderBalance(balance) {
+  const balanceEl = document.getElementById('balance-amount');
+
+  if (balanceEl) {
+    balanceEl.textContent = ui.formatCurrency(balance);
+  }
+}
+
+/**
+ * Apply event pushed by the server
+ * @param {CustomEvent} event - detail: {type, data}
+ */
+function handleRealtimeEvent(event) {
+  const { type, data } = event.detail;
+
+  switch (type) {
+    case 'ready':
+    case 'balance':
+      setBalance(data.balance);
+      break;
+
+    case 'transaction':
+      setBalance(data.balance);
+      addLiveTransaction(data.transaction);
+      spending.loadSpending(auth.getCurrentUserId());
+      break;
+
+    case 'goal':
+      goalsData = goalsData.some(goal => goal.id === data.goal.id)
+        ? goalsData.map(goal => goal.id === data.goal.id ? data.goal : goal)
+        : [...goalsData, data.goal];
+      renderLiveGoals();
+      break;
+
+    case 'goal_deleted':
+      goalsData = goalsData.filter(goal => goal.id !== data.goal_id);
+      renderLiveGoals();
+      break;
+
+    case 'poll': {
+      // Stream is down: revalidate what it would have pushed
+      const userId = auth.getCurrentUserId();
+      loadGoalContributions(userId).then(() => loadGoals(userId));
+      loadTransactions(userId).then(() => spending.loadSpending(userId));
+      break;
+    }
+  }
+}
+
+/**
+ * Re-render goals grid after a pushed change
+ */
+function renderLiveGoals() {
+  const goalsContainer = document.getElementById('goals-container');
+
+  if (goalsContainer) {
+    renderGoals(goalsContainer);
+  }
+}
+
+/**
+ * Prepend pushed transaction to the table
+ * A filtered or re-sorted list is reloaded instead, since the transaction may not belong at the top.
+ * @param {Object} transaction 
+ */
+function addLiveTransaction(transaction) {
+  const transactionsContainer = document.getElementById('transactions-table');
+
+  if (!transactionsContainer || transactionsData.some(t => t.id === transaction.id)) return;
+
+  if (!isDefaultTransactionView()) {
+    loadTransactions(auth.getCurrentUserId());
+    return;
+  }
+
+  transactionsData = [transaction, ...transactionsData];
+  renderTransactions(transactionsContainer);
+}
+
+/**
+ * Show live updates connection state next to the balance
+ * @param {string} status - connecting, live, polling, offline, closed
+ */
+function updateLiveStatus(status) {
+  const badge = document.getElementById('live-status');
+
+  if (!badge) return;
+
+  const config = LIVE_STATUS_BADGES[status];
+
+  if (!config) {
+    badge.style.display = 'none';
+    return;
+  }
+
+  badge.className = `badge ${config.className}`;
+  badge.textContent = config.text;
+  badge.style.display = '';
+}
+
+/**
+ * Handle create goal form submission
+ * @param {Event} event 
+ */
+async function handleCreateGoal(event) {
+  event.preventDefault();
+
+  const form = event.target;
+  const title = form.goal_title.value;
+  const currency = form.currency ? form.currency.value : money.DEFAULT_CURRENCY;
+  const deadline = form.deadline.value;
+
+  // Validate
+  const isValid = validator.validateForm(form, {
+    goal_title: [(val) => validator.validateRequired(val, 'Название цели')],
+    target_amount: amountRules(currency, MIN_GOAL_AMOUNTS[currency]),
+    deadline: [(val) => validator.validateDate(val)]
+  });
+
+  if (!isValid) return;
+
+  const targetAmount = money.parse(form.target_amount.value, currency);
+
+  const submitBtn = form.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+  submitBtn.textContent = 'Создание...';
+
+  try {
+    const userId = auth.getCurrentUserId();
+    const goalData = {
+      title,
+      target_amount: targetAmount,
+      deadline
+    };
+    const idempotencyKey = api.generateIdempotencyKey();
+
+    try {
+      await api.createGoal(userId, goalData, idempotencyKey);
+      ui.showToast('Цель создана успешно', 'success');
+    } catch (error) {
+      if (!offlineQueue.isOfflineError(error)) throw error;
+
+      // Same key on replay, in case the request did reach the server
+      offlineQueue.enqueue('create_goal', userId, goalData, idempotencyKey);
+      ui.showToast('Нет соединения. Цель будет создана после восстановления связи', 'warning');
+    }
+
+    form.reset();
+
+    // Reload goals
+    await loadGoals(userId);
+
+    // Close modal if exists
+    const modal = form.closest('.modal-overlay');
+    if (modal) {
+      modal.classList.remove('active');
+      setTimeout(() => modal.remove(), 300);
+    }
+
+  } catch (error) {
+    console.error('Failed to create goal:', error);
+    if (error instanceof api.ApiError) {
+      validator.showFieldErrors(form, error.fieldErrors, { title: 'goal_title' });
+    }
+    ui.showToast(api.getErrorMessage(error, 'Ошибка создания цели'), 'error');
+  } finally {
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Создать цель';
+  }
+}
+
+/**
+ * Handle offline queue replay results
+ * @param {CustomEvent} event 
+ */
+async function handleQueueEvent(event) {
+  const { status, entry, error } = event.detail;
+
+  if (entry.type !== 'create_goal' || status === 'queued') return;
+
+  if (status === 'synced') {
+    ui.showToast(`Цель «${utils.escapeHtml(entry.payload.title)}» синхронизирована`, 'success');
+  } else if (status === 'conflict') {
+    ui.showToast(api.getErrorMessage(error, `Цель «${utils.escapeHtml(entry.payload.title)}» конфликтует с данными на сервере`), 'error', 6000);
+  } else {
+    ui.showToast(api.getErrorMessage(error, `Не удалось создать цель «${utils.escapeHtml(entry.payload.title)}»`), 'error', 6000);
+  }
+
+  await loadGoals(entry.user_id);
+}
+
 /**
  * Refresh dashboard
  */
@@ -0,0 +1,137 @@
+/**
+ * Zaman Bank - Goal Forecast Module
+ * Projects savings goals from their contribution history and deadline
+ *
+ * Amounts are money objects in the goal's currency (see money.js);
+ * withdrawals from a goal are contributions with a negative amount.
+ */
+
+import * as money from 'money.js';
+
+// Average month length in days, for "per month" figures
+const MONTH_DAYS = 30.44;
+
+// Contributions of this many recent days define the current pace
+const PACE_WINDOW_DAYS = 90;
+
+/**
+ * Parse date, treating "YYYY-MM-DD" as local midnight
+ * @param {string|Date} value
+ * @returns {Date}
+ */
+function parseDate(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const date = match ? new Date(match[1], match[2] - 1, match[3]) : new Date(value);
+
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+/**
+ * Whole days from one date to another (negative when `to` is earlier)
+ * @param {string|Date} from
+ * @param {string|Date} to
+ * @returns {number}
+ */
+export function daysBetween(from, to) {
+  return Math.round((parseDate(to) - parseDate(from)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Add days to a date
+ * @param {Date} date
+ * @param {number} days
+ * @returns {Date}
+ */
+function addDays(date, days) {
+  const result = parseDate(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Average net contribution per month
+ * Uses the last 90 days if there were contributions in them, otherwise
+ * the whole history since the first contribution.
+ * @param {Array<Object>} contributions - {date, amount} of one goal
+ * @param {string} currency - Goal currency
+ * @param {Date} today
+ * @returns {Object} Money per month, zero or negative when the goal isn't growing
+ */
+export function getMonthlyPace(contributions, currency, today = new Date()) {
+  if (contributions.length === 0) {
+    return money.money(0, currency);
+  }
+
+  const recent = contributions.filter(c => daysBetween(c.date, today) <= PACE_WINDOW_DAYS);
+  const entries = recent.length > 0 ? recent : contributions;
+  const period = recent.length > 0
+    ? PACE_WINDOW_DAYS
+    : Math.max(...contributions.map(c => daysBetween(c.date, today)));
+
+  // A single fresh contribution counts as one month of saving
+  const total = money.sum(entries.map(c => c.amount), currency);
+  return money.money(Math.round(total.amount * MONTH_DAYS / Math.max(period, MONTH_DAYS)), currency);
+}
+
+/**
+ * Forecast goal completion
+ * Status is one of:
+ * - completed: target reached
+ * - overdue: deadline passed, target not reached
+ * - on_track / off_track: predicted completion before / after the deadline
+ * - unknown: contribution history not available
+ * @param {Object} goal - {target_amount, current_amount, deadline}
+ * @param {Array<Object>|null} contributions - History of this goal, null when unknown
+ * @param {Date} today
+ * @returns {{status: string, daysLeft: number, remaining: Object, requiredMonthly: Object|null,
+ *   monthlyPace: Object|null, predictedDate: Date|null}}
+ */
+export function forecastGoal(goal, contributions, today = new Date()) {
+  const { currency } = goal.target_amount;
+  const daysLeft = daysBetween(today, goal.deadline);
+  const remaining = money.compare(goal.current_amount, goal.target_amount) >= 0
+    ? money.money(0, currency)
+    : money.subtract(goal.target_amount, goal.current_amount);
+  const monthlyPace = contributions ? getMonthlyPace(contributions, currency, today) : null;
+
+  const forecast = {
+    status: 'unknown',
+    daysLeft,
+    remaining,
+    requiredMonthly: null,
+    monthlyPace,
+    predictedDate: null
+  };
+
+  if (remaining.amount === 0) {
+    return { ...forecast, status: 'completed' };
+  }
+
+  if (monthlyPace && monthlyPace.amount > 0) {
+    const monthsNeeded = remaining.amount / monthlyPace.amount;
+    forecast.predictedDate = addDays(today, Math.ceil(monthsNeeded * MONTH_DAYS));
+  }
+
+  if (daysLeft < 0) {
+    return { ...forecast, status: 'overdue' };
+  }
+
+  // Whatever is left has to be saved in the remaining months (at least one)
+  const monthsLeft = Math.max(daysLeft / MONTH_DAYS, 1);
+  forecast.requiredMonthly = money.money(Math.ceil(remaining.amount / monthsLeft), currency);
+
+  if (monthlyPace) {
+    forecast.status = forecast.predictedDate && forecast.predictedDate <= parseDate(goal.deadline)
+      ? 'on_track'
+      : 'off_track';
+  }
+
+  return forecast;
+}
+
+export default {
+  daysBetween,
+  getMonthlyPace,
+  forecastGoal
+};
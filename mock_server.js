@@ -0,0 +1,1675 @@
+/**
+ * Zaman Bank - Mock Server Module
+ * In-browser backend used by api.js in mock mode
+ * Keeps state in localStorage and supports QA scenarios
+ * (slow network, server errors, expired tokens, empty account)
+ */
+
+import * as money from 'money.js';
+
+const STATE_KEY = 'mock_server_state';
+const SCENARIO_KEY = 'mock_server_scenario';
+const TOKEN_TTL_KEY = 'mock_server_token_ttl';
+
+// Access token lifetime in seconds, override with setAccessTokenTtl()
+const DEFAULT_ACCESS_TOKEN_TTL = 15 * 60;
+
+// Second factor: the mock SMS gateway always sends this code
+const OTP_CODE = '123456';
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_INTERVAL = 30; // seconds
+const OTP_TTL = 5 * 60 * 1000;
+
+// Single-use links sent by email, by purpose
+const EMAIL_LINK_PAGES = { reset_password: 'reset_password.html', verify_email: 'verify_email.html' };
+const EMAIL_LINK_TTL = { reset_password: 60 * 60 * 1000, verify_email: 24 * 60 * 60 * 1000 };
+const EMAIL_RESEND_INTERVAL = 60; // seconds
+
+// Permissions granted by each role
+const ROLE_PERMISSIONS = {
+  user: ['goals:write', 'ai:use'],
+  admin: ['goals:write', 'ai:use', 'admin:logs:read']
+};
+
+// Exchange rates: units of currency per 1 KZT
+const RATES = { KZT: 1, USD: 0.00192, EUR: 0.00165, RUB: 0.162 };
+
+/**
+ * Tenge amount as money
+ * @param {number} value - Major units
+ * @returns {Object}
+ */
+const kzt = (value) => money.fromMajor(value, 'KZT');
+
+/**
+ * Convert money using mock exchange rates
+ * @param {Object} value
+ * @param {string} currency
+ * @returns {Object}
+ */
+function convert(value, currency) {
+  return money.convert(value, currency, { base: 'KZT', rates: RATES });
+}
+
+/**
+ * Generate older transactions so pagination has something to page through
+ * @param {number} userId
+ * @param {number} firstId
+ * @param {string} fromDate - Date of the newest generated transaction
+ * @param {number} count
+ * @returns {Array}
+ */
+function generateHistory(userId, firstId, fromDate, count) {
+  const templates = [
+    { description: 'Grocery Shopping', amount: -12000 },
+    { description: 'Taxi', amount: -2500 },
+    { description: 'Mobile Top-up', amount: -3000 },
+    { description: 'Restaurant', amount: -9500 },
+    { description: 'Cashback', amount: 1500 },
+    { description: 'Pharmacy', amount: -4200 },
+    { description: 'Utility Bills', amount: -8500 },
+    { description: 'Transfer from Savings', amount: 40000 }
+  ];
+  const start = new Date(fromDate);
+
+  return Array.from({ length: count }, (_, i) => {
+    const template = templates[i % templates.length];
+    const date = new Date(start);
+    date.setDate(start.getDate() - Math.floor(i / 2));
+
+    return {
+      id: firstId + i,
+      user_id: userId,
+      date: date.toISOString().split('T')[0],
+      description: template.description,
+      amount: kzt(template.amount),
+      type: template.amount > 0 ? 'credit' : 'debit'
+    };
+  });
+}
+
+/**
+ * Spread seeded goal savings over monthly contributions
+ * @param {number} goalId
+ * @param {Object} total - Money saved in the goal
+ * @param {string} firstDate - Date of the first contribution
+ * @param {number} count - Number of monthly contributions
+ * @returns {Array}
+ */
+function seedContributions(goalId, total, firstDate, count) {
+  const share = Math.floor(total.amount / count);
+
+  return Array.from({ length: count }, (_, i) => {
+    const date = new Date(firstDate);
+    date.setMonth(date.getMonth() + i);
+
+    return {
+      goal_id: goalId,
+      date: date.toISOString().split('T')[0],
+      amount: money.money(i === count - 1 ? total.amount - share * (count - 1) : share, total.currency)
+    };
+  });
+}
+
+// Initial backend state, restored by reset()
+const SEED_DATA = {
+  // Persisted state of another version is replaced with seed data
+  version: 7,
+
+  users: [
+    {
+      id: 1,
+      name: 'John Doe',
+      email: 'john@example.com',
+      email_verified: true,
+      password: 'password123',
+      role: 'user',
+      balance: kzt(250000)
+    },
+    {
+      id: 2,
+      name: 'Aigerim Sadykova',
+      email: 'aigerim@example.com',
+      email_verified: true,
+      password: 'password123',
+      role: 'user',
+      balance: kzt(120000),
+      two_factor: {
+        method: 'sms',
+        phone: '+7 701 123 45 67',
+        recovery_codes: ['K7M2-Q9XP', 'T4VN-8HDR', 'W3ZB-6JYC']
+      }
+    },
+    {
+      id: 3,
+      name: 'Admin',
+      email: 'admin@zamanbank.kz',
+      email_verified: true,
+      password: 'admin12345',
+      role: 'admin',
+      balance: kzt(0)
+    }
+  ],
+
+  goals: [
+    {
+      id: 1,
+      user_id: 1,
+      title: 'Emergency Fund',
+      target_amount: kzt(100000),
+      current_amount: kzt(75000),
+      deadline: '2025-12-31',
+      created_at: '2025-01-15'
+    },
+    {
+      id: 2,
+      user_id: 1,
+      title: 'New Car',
+      target_amount: kzt(500000),
+      current_amount: kzt(250000),
+      deadline: '2026-06-30',
+      created_at: '2025-02-01'
+    },
+    {
+      id: 3,
+      user_id: 1,
+      title: 'Vacation to Dubai',
+      target_amount: money.fromMajor(4000, 'USD'),
+      current_amount: money.fromMajor(950.5, 'USD'),
+      deadline: '2025-09-01',
+      created_at: '2025-03-10'
+    },
+    {
+      id: 4,
+      user_id: 2,
+      title: 'Hajj',
+      target_amount: kzt(1500000),
+      current_amount: kzt(300000),
+      deadline: '2027-05-01',
+      created_at: '2025-04-12'
+    }
+  ],
+
+  // Money moved into (positive) and out of (negative) goals
+  goal_contributions: [
+    ...seedContributions(1, kzt(75000), '2025-01-20', 6),
+    ...seedContributions(2, kzt(250000), '2025-02-05', 9),
+    ...seedContributions(3, money.fromMajor(950.5, 'USD'), '2025-03-15', 4),
+    ...seedContributions(4, kzt(300000), '2025-04-15', 3)
+  ],
+
+  transactions: [
+    { id: 1, user_id: 1, date: '2025-10-18', description: 'Salary Deposit', amount: kzt(150000), type: 'credit' },
+    { id: 2, user_id: 1, date: '2025-10-17', description: 'Grocery Shopping', amount: kzt(-15000), type: 'debit' },
+    { id: 3, user_id: 1, date: '2025-10-16', description: 'Utility Bills', amount: kzt(-8500), type: 'debit' },
+    { id: 4, user_id: 1, date: '2025-10-15', description: 'Online Purchase', amount: kzt(-25000), type: 'debit' },
+    { id: 5, user_id: 1, date: '2025-10-14', description: 'Transfer from Savings', amount: kzt(50000), type: 'credit' },
+    { id: 6, user_id: 2, date: '2025-10-18', description: 'Salary Deposit', amount: kzt(120000), type: 'credit' },
+    ...generateHistory(1, 7, '2025-10-13', 80),
+    { id: 87, user_id: 1, date: '2025-10-16', description: 'Netflix', amount: money.fromMajor(-15.99, 'USD'), type: 'debit' }
+  ],
+
+  logs: [
+    { id: 1, user_id: 1, action_type: 'update_goal_contribution', timestamp: '2025-10-18 14:30:00', status: 'completed' },
+    { id: 2, user_id: 1, action_type: 'create_goal', timestamp: '2025-10-17 10:15:00', status: 'completed' },
+    { id: 3, user_id: 2, action_type: 'balance_check', timestamp: '2025-10-16 16:45:00', status: 'completed' }
+  ],
+
+  // Sessions of John on other devices, listed in the profile (access tokens long expired)
+  sessions: [
+    {
+      id: 'seed-iphone',
+      user_id: 1,
+      device: 'Safari, iOS',
+      access_token: 'seed_access_iphone',
+      refresh_token: 'seed_refresh_iphone',
+      created_at: '2025-10-01T08:12:00.000Z',
+      last_used_at: '2025-10-18T19:40:00.000Z',
+      issued_at: 0,
+      expires_at: 1
+    },
+    {
+      id: 'seed-office',
+      user_id: 1,
+      device: 'Edge, Windows',
+      access_token: 'seed_access_office',
+      refresh_token: 'seed_refresh_office',
+      created_at: '2025-09-12T04:30:00.000Z',
+      last_used_at: '2025-10-16T11:05:00.000Z',
+      issued_at: 0,
+      expires_at: 1
+    }
+  ],
+
+  otp_challenges: [],
+
+  email_links: [],
+
+  idempotency: {}
+};
+
+const AI_RESPONSES = {
+  'помоги с целями': {
+    text: 'У вас {goals} финансовые цели. Рекомендую увеличить ежемесячные взносы на первую цель на 10,000 ₸.',
+    suggested_action: {
+      type: 'update_goal_contribution',
+      amount: kzt(10000),
+      title: 'Увеличить взнос',
+      description: 'Увеличить ежемесячный взнос до 10,000 ₸ для достижения цели быстрее.'
+    }
+  },
+  'создай новую цель': {
+    text: 'Хорошо! Давайте создадим новую финансовую цель. Какую сумму вы хотите накопить?',
+    suggested_action: null
+  },
+  'баланс': {
+    text: 'Ваш текущий баланс составляет {balance}. У вас есть {goals} активные финансовые цели.',
+    suggested_action: null
+  }
+};
+
+// QA scenarios, switched with setScenario()
+export const SCENARIOS = {
+  normal: { label: 'Нормальная работа', delay: [200, 600] },
+  slow: { label: 'Медленная сеть', delay: [3000, 6000] },
+  server_error: { label: 'Ошибки сервера (500)', delay: [200, 600], status: 500 },
+  flaky: { label: 'Нестабильный сервер (30% ошибок 503)', delay: [200, 600], status: 503, rate: 0.3 },
+  token_expired: { label: 'Истёкший access token (401, refresh работает)', delay: [200, 600] },
+  unauthorized: { label: 'Недействительная сессия (401, refresh не работает)', delay: [200, 600] },
+  empty: { label: 'Пустой аккаунт', delay: [200, 600] }
+};
+
+const MAX_IDEMPOTENCY_KEYS = 200;
+
+// Open event streams: {userId, send, close}
+const subscribers = new Set();
+
+let state = loadState();
+const routes = [];
+
+// ============= STATE =============
+
+/**
+ * Load persisted state or seed data
+ * @returns {Object}
+ */
+function loadState() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STATE_KEY));
+    if (saved && saved.version === SEED_DATA.version) return saved;
+  } catch (error) {
+    console.warn('Mock server state corrupted, reseeding:', error);
+  }
+
+  return JSON.parse(JSON.stringify(SEED_DATA));
+}
+
+/**
+ * Re-read state saved by other tabs
+ * Every tab runs its own copy of the mock server over the same storage, so
+ * state is reloaded before each change; otherwise a tab would overwrite
+ * sessions and data created in the others with its stale copy.
+ */
+function syncState() {
+  state = loadState();
+}
+
+/**
+ * Persist state
+ */
+function saveState() {
+  localStorage.setItem(STATE_KEY, JSON.stringify(state));
+}
+
+/**
+ * Restore seed data and drop all sessions
+ */
+export function reset() {
+  state = JSON.parse(JSON.stringify(SEED_DATA));
+  saveState();
+}
+
+/**
+ * Switch QA scenario
+ * @param {string} name - Key of SCENARIOS
+ */
+export function setScenario(name) {
+  if (!SCENARIOS[name]) {
+    throw new Error(`Unknown mock scenario: ${name}`);
+  }
+
+  localStorage.setItem(SCENARIO_KEY, name);
+
+  // Tokens issued before this moment are rejected until refreshed
+  if (name === 'token_expired') {
+    syncState();
+    state.tokens_revoked_at = Date.now();
+    saveState();
+  }
+}
+
+/**
+ * Get active QA scenario name
+ * @returns {string}
+ */
+export function getScenario() {
+  const name = localStorage.getItem(SCENARIO_KEY);
+  return SCENARIOS[name] ? name : 'normal';
+}
+
+/**
+ * Change lifetime of access tokens issued from now on
+ * Short lifetimes make the session expiry warning easy to test.
+ * @param {number} seconds
+ */
+export function setAccessTokenTtl(seconds) {
+  localStorage.setItem(TOKEN_TTL_KEY, String(seconds));
+}
+
+/**
+ * Get access token lifetime
+ * @returns {number} Seconds
+ */
+function getAccessTokenTtl() {
+  return parseInt(localStorage.getItem(TOKEN_TTL_KEY)) || DEFAULT_ACCESS_TOKEN_TTL;
+}
+
+/**
+ * Get a copy of the backend state (for debugging)
+ * @returns {Object}
+ */
+export function getState() {
+  syncState();
+  return JSON.parse(JSON.stringify(state));
+}
+
+// ============= HELPERS =============
+
+/**
+ * Build JSON response
+ * @param {number} status
+ * @param {any} body
+ * @returns {Response}
+ */
+function json(status, body) {
+  return new Response(body === null ? null : JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Request-Id': `mock-${Date.now().toString(36)}`
+    }
+  });
+}
+
+/**
+ * Build error response in the backend's error format
+ * @param {number} status
+ * @param {string} code
+ * @param {string} message
+ * @param {Object} fields - Field errors
+ * @returns {Response}
+ */
+function error(status, code, message, fields = undefined) {
+  return json(status, { error: { code, message, fields } });
+}
+
+/**
+ * Build server-sent events response that emits text word by word
+ * @param {string} text - Text to stream as `token` events
+ * @param {Object} final - Payload of the closing `done` event
+ * @param {AbortSignal} [signal]
+ * @returns {Response}
+ */
+function eventStream(text, final, signal) {
+  const encoder = new TextEncoder();
+  const tokens = text.match(/\S+\s*/g) || [];
+  const send = (controller, event, data) => {
+    controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+  };
+
+  const body = new ReadableStream({
+    async start(controller) {
+      for (const token of tokens) {
+        await new Promise(resolve => setTimeout(resolve, 40 + Math.random() * 80));
+
+        if (signal?.aborted) {
+          controller.close();
+          return;
+        }
+
+        send(controller, 'token', { text: token });
+      }
+
+      send(controller, 'done', final);
+      controller.close();
+    }
+  });
+
+  return new Response(body, {
+    status: 200,
+    headers: { 'Content-Type': 'text/event-stream' }
+  });
+}
+
+/**
+ * Next id for a collection
+ * @param {Array} items
+ * @returns {number}
+ */
+function nextId(items) {
+  return Math.max(0, ...items.map(item => item.id)) + 1;
+}
+
+/**
+ * Today's date as YYYY-MM-DD
+ * @returns {string}
+ */
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Public user representation
+ * @param {Object} user
+ * @returns {Object}
+ */
+function publicUser(user) {
+  const { password, two_factor, ...rest } = user;
+  return {
+    ...rest,
+    email_verified: user.email_verified !== false,
+    two_factor_enabled: !!two_factor,
+    permissions: ROLE_PERMISSIONS[user.role] || []
+  };
+}
+
+/**
+ * Login response with new session
+ * @param {Object} user
+ * @returns {Object}
+ */
+function sessionResponse(user) {
+  return { user_id: user.id, ...createSession(user), user: publicUser(user) };
+}
+
+/**
+ * "Send" one-time code of a challenge
+ * @param {Object} challenge
+ */
+function sendOtp(challenge) {
+  const user = state.users.find(u => u.id === challenge.user_id);
+  challenge.resend_at = Date.now() + OTP_RESEND_INTERVAL * 1000;
+  console.info(`[mock SMS] ${user.two_factor.phone}: код входа ${OTP_CODE}`);
+}
+
+/**
+ * Hide all but the country code and last four digits of a phone number
+ * @param {string} phone - e.g. "+7 701 123 45 67"
+ * @returns {string} e.g. "+7 *** *** 45 67"
+ */
+function maskPhone(phone) {
+  const [countryCode, ...rest] = phone.split(' ');
+  return [countryCode, rest.join(' ').replace(/\d(?=(?:\D*\d){4})/g, '*')].join(' ');
+}
+
+/**
+ * Find pending second factor challenge
+ * @param {string} challengeId
+ * @returns {Object|null}
+ */
+function findChallenge(challengeId) {
+  const challenge = state.otp_challenges.find(c => c.id === challengeId);
+  return challenge && challenge.expires_at > Date.now() ? challenge : null;
+}
+
+/**
+ * Count failed second factor attempt
+ * The challenge is dropped when no attempts are left, so the user has to
+ * start over with the password.
+ * @param {Object} challenge
+ * @param {string} field - Form field to attach the error to
+ * @returns {Response}
+ */
+function failOtpAttempt(challenge, field) {
+  challenge.attempts_left--;
+
+  if (challenge.attempts_left <= 0) {
+    state.otp_challenges = state.otp_challenges.filter(c => c !== challenge);
+    return error(423, 'too_many_attempts', 'Слишком много неверных попыток. Войдите снова.');
+  }
+
+  const message = `Неверный код. Осталось попыток: ${challenge.attempts_left}`;
+  return error(422, 'invalid_code', message, { [field]: message });
+}
+
+/**
+ * "Send" a single-use link by email
+ * Earlier links of the same purpose stop working.
+ * @param {Object} user
+ * @param {string} purpose - reset_password, verify_email
+ */
+function sendEmailLink(user, purpose) {
+  const link = {
+    token: Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2),
+    user_id: user.id,
+    purpose,
+    sent_at: Date.now(),
+    expires_at: Date.now() + EMAIL_LINK_TTL[purpose]
+  };
+
+  state.email_links = state.email_links.filter(l => !(l.user_id === user.id && l.purpose === purpose));
+  state.email_links.push(link);
+  console.info(`[mock email] ${user.email}: ${EMAIL_LINK_PAGES[purpose]}?token=${link.token}`);
+}
+
+/**
+ * Use up token of an emailed link
+ * @param {string} token
+ * @param {string} purpose - reset_password, verify_email
+ * @returns {Object|null} Owner of a valid link
+ */
+function consumeEmailLink(token, purpose) {
+  const link = state.email_links.find(l => l.token === token && l.purpose === purpose);
+  if (!link) return null;
+
+  state.email_links = state.email_links.filter(l => l !== link);
+  return link.expires_at > Date.now() ? state.users.find(u => u.id === link.user_id) || null : null;
+}
+
+/**
+ * Encode value as base64url JSON
+ * @param {Object} value
+ * @returns {string}
+ */
+function base64url(value) {
+  return btoa(JSON.stringify(value))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Build unsigned JWT-shaped access token
+ * @param {Object} payload - Claims
+ * @returns {string}
+ */
+function createJwt(payload) {
+  return `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url(payload)}.mock`;
+}
+
+/**
+ * Describe browser and OS of this device, e.g. "Chrome, Windows"
+ * @returns {string}
+ */
+function describeDevice() {
+  const ua = navigator.userAgent || '';
+  const browser = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([token]) => ua.includes(token));
+  const os = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+    .find(([token]) => ua.includes(token));
+
+  return browser || os
+    ? [browser && browser[1], os && os[1]].filter(Boolean).join(', ')
+    : 'Неизвестное устройство';
+}
+
+/**
+ * Create session tokens for user
+ * A refreshed session keeps its id, device and creation time.
+ * @param {Object} user
+ * @param {Object|null} previous - Session being refreshed
+ * @returns {{access_token: string, refresh_token: string}}
+ */
+function createSession(user, previous = null) {
+  const now = Date.now();
+  const expiresAt = now + getAccessTokenTtl() * 1000;
+
+  const session = {
+    id: previous ? previous.id : Math.random().toString(36).slice(2),
+    user_id: user.id,
+    device: previous ? previous.device : describeDevice(),
+    created_at: previous ? previous.created_at : new Date(now).toISOString(),
+    last_used_at: new Date(now).toISOString(),
+    access_token: createJwt({
+      sub: user.id,
+      iat: Math.floor(now / 1000),
+      exp: Math.floor(expiresAt / 1000),
+      jti: Math.random().toString(36).slice(2)
+    }),
+    refresh_token: `mock_refresh_${user.id}_${Math.random().toString(36).slice(2)}`,
+    issued_at: now,
+    expires_at: expiresAt
+  };
+
+  state.sessions.push(session);
+  saveState();
+
+  return { access_token: session.access_token, refresh_token: session.refresh_token };
+}
+
+/**
+ * Register route
+ * @param {string} method
+ * @param {string} pattern - Path with :params, e.g. /users/:userId/goals
+ * @param {Function} handler - (req) => Response
+ * @param {Object} options - {auth: require a valid access token}
+ */
+function route(method, pattern, handler, { auth = true } = {}) {
+  const paramNames = [];
+  const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (_, name) => {
+    paramNames.push(name);
+    return '([^/]+)';
+  }) + '$');
+
+  routes.push({ method, regex, paramNames, handler, auth });
+}
+
+/**
+ * Find session of the Authorization header
+ * @param {Object} headers
+ * @returns {Object|null}
+ */
+function findSession(headers) {
+  const token = (headers['Authorization'] || '').replace('Bearer ', '');
+  return state.sessions.find(s => s.access_token === token) || null;
+}
+
+/**
+ * Find user from Authorization header
+ * @param {Object} headers
+ * @returns {Object|null} Session user
+ */
+function authenticate(headers) {
+  const session = findSession(headers);
+
+  if (!session || getScenario() === 'unauthorized') {
+    return null;
+  }
+
+  if (state.tokens_revoked_at && session.issued_at < state.tokens_revoked_at) {
+    return null;
+  }
+
+  if (session.expires_at && session.expires_at < Date.now()) {
+    return null;
+  }
+
+  session.last_used_at = new Date().toISOString();
+  return state.users.find(u => u.id === session.user_id) || null;
+}
+
+/**
+ * Ensure path user matches token user
+ * @param {Object} req
+ * @returns {Response|null} Error response if forbidden
+ */
+function forbidOtherUsers(req) {
+  if (parseInt(req.params.userId) !== req.user.id) {
+    return error(403, 'forbidden', 'Нет доступа к данным другого пользователя');
+  }
+  return null;
+}
+
+/**
+ * Ensure token user has permission
+ * @param {Object} req
+ * @param {string} permission
+ * @returns {Response|null} Error response if forbidden
+ */
+function requirePermission(req, permission) {
+  if (!(ROLE_PERMISSIONS[req.user.role] || []).includes(permission)) {
+    return error(403, 'forbidden', 'Недостаточно прав');
+  }
+  return null;
+}
+
+/**
+ * Ensure token user has confirmed their email
+ * @param {Object} req
+ * @returns {Response|null} Error response if not confirmed
+ */
+function requireVerifiedEmail(req) {
+  if (req.user.email_verified === false) {
+    return error(403, 'email_not_verified', 'Подтвердите email, чтобы выполнять операции');
+  }
+  return null;
+}
+
+/**
+ * Find goal of the path user
+ * @param {Object} req
+ * @returns {Object|null}
+ */
+function findGoal(req) {
+  return state.goals.find(g => g.id === parseInt(req.params.goalId) && g.user_id === req.user.id) || null;
+}
+
+/**
+ * Append AI action log entry
+ * @param {number} userId
+ * @param {string} actionType
+ * @param {string} status
+ */
+function addLog(userId, actionType, status) {
+  state.logs.push({
+    id: nextId(state.logs),
+    user_id: userId,
+    action_type: actionType,
+    timestamp: new Date().toISOString().replace('T', ' ').slice(0, 19),
+    status
+  });
+}
+
+/**
+ * Random delay for active scenario
+ * Resolves early when the request is aborted; the caller checks the signal.
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function networkDelay(signal) {
+  const [min, max] = SCENARIOS[getScenario()].delay;
+
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, min + Math.random() * (max - min));
+
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
+// ============= EVENTS =============
+
+/**
+ * Push event to the user's open event streams
+ * @param {number} userId
+ * @param {string} event - ready, balance, transaction, goal, goal_deleted
+ * @param {Object} data
+ */
+function publish(userId, event, data) {
+  subscribers.forEach(subscriber => {
+    if (subscriber.userId === userId) {
+      subscriber.send(event, data);
+    }
+  });
+}
+
+/**
+ * Build long-lived server-sent events response for user
+ * In the flaky scenario the connection drops after a few seconds.
+ * @param {Object} user
+ * @param {AbortSignal} [signal]
+ * @returns {Response}
+ */
+function userEventStream(user, signal) {
+  const encoder = new TextEncoder();
+  let subscriber = null;
+
+  const body = new ReadableStream({
+    start(controller) {
+      let dropTimer = null;
+
+      subscriber = {
+        userId: user.id,
+        send(event, data) {
+          controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+        },
+        close(reason) {
+          if (!subscribers.has(subscriber)) return;
+
+          clearTimeout(dropTimer);
+          subscribers.delete(subscriber);
+
+          if (reason) {
+            controller.error(reason);
+          } else {
+            controller.close();
+          }
+        }
+      };
+
+      subscribers.add(subscriber);
+      subscriber.send('ready', { balance: user.balance });
+
+      if (getScenario() === 'flaky') {
+        dropTimer = setTimeout(() => subscriber.close(new TypeError('Mock stream dropped')), 3000 + Math.random() * 7000);
+      }
+
+      signal?.addEventListener('abort', () => subscriber.close(), { once: true });
+    },
+    cancel() {
+      subscriber.close();
+    }
+  });
+
+  return new Response(body, {
+    status: 200,
+    headers: { 'Content-Type': 'text/event-stream' }
+  });
+}
+
+/**
+ * Post transaction to user's account as if it came from outside
+ * (salary, card payment) and push it to open event streams
+ * @param {number} userId
+ * @param {Object} transaction - {amount: money or number of tenge (positive credit / negative debit), description}
+ * @returns {Object} Created transaction
+ */
+export function simulateTransaction(userId, { amount, description }) {
+  syncState();
+  const user = state.users.find(u => u.id === userId);
+
+  if (!user) {
+    throw new Error(`Unknown mock user: ${userId}`);
+  }
+
+  const value = money.isMoney(amount) ? amount : kzt(amount);
+  const transaction = {
+    id: nextId(state.transactions),
+    user_id: userId,
+    date: today(),
+    description: description || (value.amount > 0 ? 'Входящий перевод' : 'Оплата картой'),
+    amount: value,
+    type: value.amount > 0 ? 'credit' : 'debit'
+  };
+
+  state.transactions.push(transaction);
+  user.balance = money.add(user.balance, convert(value, user.balance.currency));
+  saveState();
+
+  const { user_id, ...result } = transaction;
+  publish(userId, 'transaction', { transaction: result, balance: user.balance });
+
+  return result;
+}
+
+// ============= ROUTES =============
+
+route('POST', '/auth/login', (req) => {
+  const { email, password } = req.body || {};
+  const user = state.users.find(u => u.email === email && u.password === password);
+
+  if (!user) {
+    return error(401, 'invalid_credentials', 'Неверный email или пароль');
+  }
+
+  if (!user.two_factor) {
+    return json(200, sessionResponse(user));
+  }
+
+  // Password is correct, session is issued only after the second factor
+  const challenge = {
+    id: Math.random().toString(36).slice(2),
+    user_id: user.id,
+    attempts_left: OTP_MAX_ATTEMPTS,
+    expires_at: Date.now() + OTP_TTL
+  };
+
+  state.otp_challenges = state.otp_challenges.filter(c => c.user_id !== user.id);
+  state.otp_challenges.push(challenge);
+  sendOtp(challenge);
+
+  return json(200, {
+    otp_required: true,
+    challenge_id: challenge.id,
+    method: user.two_factor.method,
+    destination: maskPhone(user.two_factor.phone),
+    attempts_left: challenge.attempts_left,
+    resend_in: OTP_RESEND_INTERVAL
+  });
+}, { auth: false });
+
+route('POST', '/auth/otp/verify', (req) => {
+  const { challenge_id, code } = req.body || {};
+  const challenge = findChallenge(challenge_id);
+
+  if (!challenge) {
+    return error(410, 'challenge_expired', 'Срок действия кода истёк. Войдите снова.');
+  }
+
+  if (String(code).trim() !== OTP_CODE) {
+    return failOtpAttempt(challenge, 'code');
+  }
+
+  state.otp_challenges = state.otp_challenges.filter(c => c !== challenge);
+  return json(200, sessionResponse(state.users.find(u => u.id === challenge.user_id)));
+}, { auth: false });
+
+route('POST', '/auth/otp/resend', (req) => {
+  const challenge = findChallenge((req.body || {}).challenge_id);
+
+  if (!challenge) {
+    return error(410, 'challenge_expired', 'Срок действия кода истёк. Войдите снова.');
+  }
+
+  const wait = Math.ceil((challenge.resend_at - Date.now()) / 1000);
+
+  if (wait > 0) {
+    const response = error(429, 'resend_too_early', `Повторная отправка возможна через ${wait} с`);
+    response.headers.set('Retry-After', String(wait));
+    return response;
+  }
+
+  sendOtp(challenge);
+  return json(200, { resend_in: OTP_RESEND_INTERVAL });
+}, { auth: false });
+
+route('POST', '/auth/otp/recovery', (req) => {
+  const { challenge_id, recovery_code } = req.body || {};
+  const challenge = findChallenge(challenge_id);
+
+  if (!challenge) {
+    return error(410, 'challenge_expired', 'Срок действия кода истёк. Войдите снова.');
+  }
+
+  const user = state.users.find(u => u.id === challenge.user_id);
+  const codes = user.two_factor.recovery_codes;
+  const index = codes.indexOf(String(recovery_code).trim().toUpperCase());
+
+  if (index === -1) {
+    return failOtpAttempt(challenge, 'recovery_code');
+  }
+
+  // Recovery codes are single-use
+  codes.splice(index, 1);
+  state.otp_challenges = state.otp_challenges.filter(c => c !== challenge);
+
+  return json(200, { ...sessionResponse(user), recovery_codes_left: codes.length });
+}, { auth: false });
+
+route('POST', '/auth/register', (req) => {
+  const { name, email, password } = req.body || {};
+  const fields = {};
+
+  if (!name) fields.name = 'Имя обязательно';
+  if (!email || !email.includes('@')) fields.email = 'Неверный формат email';
+  if (!password || password.length < 6) fields.password = 'Пароль должен содержать минимум 6 символов';
+
+  if (Object.keys(fields).length > 0) {
+    return error(422, 'validation_error', 'Проверьте введённые данные', fields);
+  }
+
+  if (state.users.some(u => u.email === email)) {
+    return error(409, 'email_taken', 'Пользователь с таким email уже существует', { email: 'Email уже зарегистрирован' });
+  }
+
+  const user = { id: nextId(state.users), name, email, email_verified: false, password, role: 'user', balance: kzt(0) };
+  state.users.push(user);
+  sendEmailLink(user, 'verify_email');
+
+  return json(201, sessionResponse(user));
+}, { auth: false });
+
+route('POST', '/auth/password/forgot', (req) => {
+  const email = String((req.body || {}).email || '').trim();
+
+  if (!email.includes('@')) {
+    return error(422, 'validation_error', 'Проверьте введённые данные', { email: 'Неверный формат email' });
+  }
+
+  // Same response whether or not the account exists
+  const user = state.users.find(u => u.email === email);
+  if (user) {
+    sendEmailLink(user, 'reset_password');
+  }
+
+  return json(202, { sent: true });
+}, { auth: false });
+
+route('POST', '/auth/password/reset', (req) => {
+  const { token, password } = req.body || {};
+
+  if (!password || password.length < 6) {
+    return error(422, 'validation_error', 'Проверьте введённые данные', { password: 'Пароль должен содержать минимум 6 символов' });
+  }
+
+  const user = consumeEmailLink(token, 'reset_password');
+
+  if (!user) {
+    return error(410, 'link_expired', 'Ссылка для сброса пароля недействительна или устарела');
+  }
+
+  user.password = password;
+
+  // Sign out everywhere with the old password
+  state.sessions = state.sessions.filter(s => s.user_id !== user.id);
+  state.otp_challenges = state.otp_challenges.filter(c => c.user_id !== user.id);
+
+  return json(200, { success: true });
+}, { auth: false });
+
+route('POST', '/auth/email/verify', (req) => {
+  const user = consumeEmailLink((req.body || {}).token, 'verify_email');
+
+  if (!user) {
+    return error(410, 'link_expired', 'Ссылка для подтверждения недействительна или устарела');
+  }
+
+  user.email_verified = true;
+  return json(200, { user: publicUser(user) });
+}, { auth: false });
+
+route('POST', '/users/:userId/email/verification', (req) => {
+  const forbidden = forbidOtherUsers(req);
+  if (forbidden) return forbidden;
+
+  if (req.user.email_verified !== false) {
+    return error(409, 'already_verified', 'Email уже подтверждён');
+  }
+
+  const previous = state.email_links.find(l => l.user_id === req.user.id && l.purpose === 'verify_email');
+  const wait = previous ? Math.ceil((previous.sent_at + EMAIL_RESEND_INTERVAL * 1000 - Date.now()) / 1000) : 0;
+
+  if (wait > 0) {
+    const response = error(429, 'resend_too_early', `Повторная отправка возможна через ${wait} с`);
+    response.headers.set('Retry-After', String(wait));
+    return response;
+  }
+
+  sendEmailLink(req.user, 'verify_email');
+  return json(202, { sent: true, resend_in: EMAIL_RESEND_INTERVAL });
+});
+
+route('GET', '/users/:userId/profile', (req) => {
+  return forbidOtherUsers(req) || json(200, publicUser(req.user));
+});
+
+route('PATCH', '/users/:userId/profile', (req) => {
+  const forbidden = forbidOtherUsers(req);
+  if (forbidden) return forbidden;
+
+  const { name, email } = req.body || {};
+  const fields = {};
+
+  if (name !== undefined && !String(name).trim()) fields.name = 'Имя обязательно';
+  if (email !== undefined && !String(email).includes('@')) fields.email = 'Неверный формат email';
+
+  if (Object.keys(fields).length > 0) {
+    return error(422, 'validation_error', 'Проверьте введённые данные', fields);
+  }
+
+  if (email !== undefined && state.users.some(u => u.email === email && u !== req.user)) {
+    return error(409, 'email_taken', 'Пользователь с таким email уже существует', { email: 'Email уже зарегистрирован' });
+  }
+
+  if (name !== undefined) {
+    req.user.name = String(name).trim();
+  }
+
+  // A new address has to be confirmed again
+  if (email !== undefined && email !== req.user.email) {
+    req.user.email = email;
+    req.user.email_verified = false;
+    sendEmailLink(req.user, 'verify_email');
+  }
+
+  return json(200, publicUser(req.user));
+});
+
+route('POST', '/users/:userId/password', (req) => {
+  const forbidden = forbidOtherUsers(req);
+  if (forbidden) return forbidden;
+
+  const { current_password, new_password } = req.body || {};
+
+  if (current_password !== req.user.password) {
+    return error(422, 'invalid_password', 'Неверный текущий пароль', { current_password: 'Неверный текущий пароль' });
+  }
+
+  if (!new_password || new_password.length < 6) {
+    return error(422, 'validation_error', 'Проверьте введённые данные', { new_password: 'Пароль должен содержать минимум 6 символов' });
+  }
+
+  req.user.password = new_password;
+
+  // Other devices have to log in with the new password
+  const current = findSession(req.headers);
+  state.sessions = state.sessions.filter(s => s.user_id !== req.user.id || s === current);
+
+  return json(200, { success: true });
+});
+
+route('GET', '/users/:userId/sessions', (req) => {
+  const forbidden = forbidOtherUsers(req);
+  if (forbidden) return forbidden;
+
+  const current = findSession(req.headers);
+
+  return json(200, state.sessions
+    .filter(s => s.user_id === req.user.id)
+    .sort((a, b) => b.last_used_at.localeCompare(a.last_used_at))
+    .map(s => ({
+      id: s.id,
+      device: s.device,
+      created_at: s.created_at,
+      last_used_at: s.last_used_at,
+      current: s === current
+    })));
+});
+
+route('DELETE', '/users/:userId/sessions/:sessionId', (req) => {
+  const forbidden = forbidOtherUsers(req);
+  if (forbidden) return forbidden;
+
+  const session = state.sessions.find(s => s.id === req.params.sessionId && s.user_id === req.user.id);
+  if (!session) return error(404, 'session_not_found', 'Сеанс не найден');
+
+  state.sessions = state.sessions.filter(s => s !== session);
+  return json(200, { revoked: 1 });
+});
+
+route('DELETE', '/users/:userId/sessions', (req) => {
+  const forbidden = forbidOtherUsers(req);
+  if (forbidden) return forbidden;
+
+  const current = findSession(req.headers);
+  const others = state.sessions.filter(s => s.user_id === req.user.id && s !== current);
+
+  state.sessions = state.sessions.filter(s => !others.includes(s));
+  return json(200, { revoked: others.length });
+});
+
+route('POST', '/auth/refresh', (req) => {
+  const session = state.sessions.find(s => s.refresh_token === (req.body || {}).refresh_token);
+
+  if (!session || getScenario() === 'unauthorized') {
+    return error(401, 'invalid_refresh_token', 'Сессия истекла');
+  }
+
+  state.sessions = state.sessions.filter(s => s !== session);
+  const user = state.users.find(u => u.id === session.user_id);
+
+  return json(200, createSession(user, session));
+}, { auth: false });
+
+route('POST', '/ai/message', (req) => {
+  const message = String((req.body || {}).message || '').toLowerCase();
+  const key = Object.keys(AI_RESPONSES).find(k => message.includes(k)) || 'баланс';
+  const template = AI_RESPONSES[key];
+  const goals = state.goals.filter(g => g.user_id === req.user.id);
+
+  const text = template.text
+    .replace('{balance}', money.format(req.user.balance))
+    .replace('{goals}', goals.length);
+
+  const suggestedAction = template.suggested_action && goals.length > 0
+    ? { ...template.suggested_action, goal_id: goals[0].id, title: `${template.suggested_action.title}: ${goals[0].title}` }
+    : null;
+
+  if ((req.body || {}).stream) {
+    return eventStream(text, { text, suggested_action: suggestedAction }, req.signal);
+  }
+
+  return json(200, { text, suggested_action: suggestedAction });
+});
+
+route('POST', '/ai/execute', (req) => {
+  const unverified = requireVerifiedEmail(req);
+  if (unverified) return unverified;
+
+  const action = (req.body || {}).action || {};
+
+  if (action.goal_id && !state.goals.some(g => g.id === action.goal_id && g.user_id === req.user.id)) {
+    addLog(req.user.id, action.type, 'failed');
+    return error(409, 'goal_not_found', 'Цель, к которой относится действие, больше не существует');
+  }
+
+  addLog(req.user.id, action.type, 'completed');
+
+  return json(200, { success: true, result: { message: 'Action executed successfully' } });
+});
+
+route('GET', '/users/:userId/goals', (req) => {
+  return forbidOtherUsers(req) || json(200, getScenario() === 'empty'
+    ? []
+    : state.goals.filter(g => g.user_id === req.user.id).map(({ user_id, ...goal }) => goal));
+});
+
+route('POST', '/users/:userId/goals', (req) => {
+  const forbidden = forbidOtherUsers(req) || requireVerifiedEmail(req);
+  if (forbidden) return forbidden;
+
+  const { title, target_amount, deadline } = req.body || {};
+  const fields = {};
+
+  if (!title) fields.title = 'Название цели обязательно';
+  if (!money.isMoney(target_amount) || target_amount.amount <= 0) fields.target_amount = 'Сумма должна быть больше нуля';
+  if (!deadline) fields.deadline = 'Дата обязательна';
+
+  if (Object.keys(fields).length > 0) {
+    return error(422, 'validation_error', 'Проверьте данные цели', fields);
+  }
+
+  const goal = {
+    id: nextId(state.goals),
+    user_id: req.user.id,
+    title,
+    target_amount,
+    current_amount: money.money(0, target_amount.currency),
+    deadline,
+    created_at: today()
+  };
+
+  state.goals.push(goal);
+  addLog(req.user.id, 'create_goal', 'completed');
+
+  const { user_id, ...result } = goal;
+  publish(req.user.id, 'goal', { goal: result });
+  return json(201, result);
+});
+
+route('GET', '/users/:userId/goal-contributions', (req) => {
+  const goalIds = state.goals.filter(g => g.user_id === req.user.id).map(g => g.id);
+
+  return forbidOtherUsers(req) || json(200, getScenario() === 'empty'
+    ? []
+    : state.goal_contributions.filter(c => goalIds.includes(c.goal_id)));
+});
+
+const updateGoal = (req) => {
+  const forbidden = forbidOtherUsers(req);
+  if (forbidden) return forbidden;
+
+  const goal = findGoal(req);
+  if (!goal) return error(404, 'goal_not_found', 'Цель не найдена');
+
+  const { id, user_id, current_amount, created_at, ...updates } = req.body || {};
+
+  if ('target_amount' in updates && (!money.isMoney(updates.target_amount) || updates.target_amount.amount <= 0)) {
+    return error(422, 'validation_error', 'Проверьте данные цели', { target_amount: 'Сумма должна быть больше нуля' });
+  }
+
+  if ('target_amount' in updates && updates.target_amount.currency !== goal.current_amount.currency) {
+    return error(422, 'currency_mismatch', 'Валюту цели изменить нельзя', { target_amount: 'Укажите сумму в валюте цели' });
+  }
+
+  Object.assign(goal, updates);
+
+  const { user_id: owner, ...result } = goal;
+  publish(req.user.id, 'goal', { goal: result });
+  return json(200, result);
+};
+
+route('PATCH', '/users/:userId/goals/:goalId', updateGoal);
+route('PUT', '/users/:userId/goals/:goalId', updateGoal);
+
+route('DELETE', '/users/:userId/goals/:goalId', (req) => {
+  const forbidden = forbidOtherUsers(req);
+  if (forbidden) return forbidden;
+
+  const goal = findGoal(req);
+  if (!goal) return error(404, 'goal_not_found', 'Цель не найдена');
+
+  state.goals = state.goals.filter(g => g !== goal);
+  state.goal_contributions = state.goal_contributions.filter(c => c.goal_id !== goal.id);
+  req.user.balance = money.add(req.user.balance, convert(goal.current_amount, req.user.balance.currency));
+
+  publish(req.user.id, 'goal_deleted', { goal_id: goal.id });
+  publish(req.user.id, 'balance', { balance: req.user.balance });
+
+  return json(200, { success: true, balance: req.user.balance });
+});
+
+route('POST', '/users/:userId/goals/:goalId/:operation', (req) => {
+  const forbidden = forbidOtherUsers(req) || requireVerifiedEmail(req);
+  if (forbidden) return forbidden;
+
+  const { operation } = req.params;
+  if (operation !== 'contribute' && operation !== 'withdraw') {
+    return error(404, 'not_found', 'Not found');
+  }
+
+  const goal = findGoal(req);
+  if (!goal) return error(404, 'goal_not_found', 'Цель не найдена');
+
+  const amount = (req.body || {}).amount;
+  const isWithdraw = operation === 'withdraw';
+
+  if (!money.isMoney(amount) || amount.amount <= 0) {
+    return error(422, 'validation_error', 'Некорректная сумма', { amount: 'Сумма должна быть больше нуля' });
+  }
+
+  if (amount.currency !== goal.current_amount.currency) {
+    return error(422, 'currency_mismatch', 'Сумма должна быть в валюте цели', { amount: 'Укажите сумму в валюте цели' });
+  }
+
+  // Balance side of the transfer, in account currency
+  const balanceAmount = convert(amount, req.user.balance.currency);
+
+  if (isWithdraw && money.compare(amount, goal.current_amount) > 0) {
+    return error(422, 'insufficient_goal_funds', 'Недостаточно средств на цели');
+  }
+
+  if (!isWithdraw && money.compare(balanceAmount, req.user.balance) > 0) {
+    return error(422, 'insufficient_funds', 'Недостаточно средств на балансе');
+  }
+
+  if (isWithdraw) {
+    goal.current_amount = money.subtract(goal.current_amount, amount);
+    req.user.balance = money.add(req.user.balance, balanceAmount);
+  } else {
+    goal.current_amount = money.add(goal.current_amount, amount);
+    req.user.balance = money.subtract(req.user.balance, balanceAmount);
+  }
+
+  state.goal_contributions.push({ goal_id: goal.id, date: today(), amount: isWithdraw ? money.negate(amount) : amount });
+
+  const transaction = {
+    id: nextId(state.transactions),
+    user_id: req.user.id,
+    date: today(),
+    description: `${isWithdraw ? 'Снятие с цели' : 'Пополнение цели'}: ${goal.title}`,
+    amount: isWithdraw ? balanceAmount : money.negate(balanceAmount),
+    type: isWithdraw ? 'credit' : 'debit'
+  };
+  state.transactions.push(transaction);
+
+  const { user_id, ...result } = goal;
+  const { user_id: owner, ...publicTransaction } = transaction;
+  publish(req.user.id, 'transaction', { transaction: publicTransaction, balance: req.user.balance });
+  publish(req.user.id, 'goal', { goal: result });
+
+  return json(200, { goal: result, balance: req.user.balance });
+});
+
+route('GET', '/users/:userId/balance', (req) => {
+  return forbidOtherUsers(req) || json(200, { balance: req.user.balance });
+});
+
+route('GET', '/users/:userId/statement', (req) => {
+  const forbidden = forbidOtherUsers(req);
+  if (forbidden) return forbidden;
+
+  const { from, to } = req.query;
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+  const fields = {};
+
+  if (!isDate(from)) fields.from = 'Укажите дату начала (YYYY-MM-DD)';
+  if (!isDate(to)) fields.to = 'Укажите дату окончания (YYYY-MM-DD)';
+  if (!fields.from && !fields.to && from > to) fields.to = 'Дата окончания раньше даты начала';
+
+  if (Object.keys(fields).length > 0) {
+    return error(422, 'validation_error', 'Проверьте период выписки', fields);
+  }
+
+  const { currency } = req.user.balance;
+  const transactions = getScenario() === 'empty'
+    ? []
+    : state.transactions
+      .filter(t => t.user_id === req.user.id)
+      .map(({ user_id, ...t }) => ({ ...t, account_amount: convert(t.amount, currency) }));
+
+  // Balances are rolled back from the current one through later transactions
+  const total = (items) => money.sum(items.map(t => t.account_amount), currency);
+  const items = transactions
+    .filter(t => t.date >= from && t.date <= to)
+    .sort((a, b) => a.date.localeCompare(b.date) || a.id - b.id);
+  const closing = money.subtract(req.user.balance, total(transactions.filter(t => t.date > to)));
+  const credits = items.filter(t => t.account_amount.amount > 0);
+  const debits = items.filter(t => t.account_amount.amount < 0);
+
+  return json(200, {
+    account: {
+      number: `KZ86ZAMN${String(req.user.id).padStart(12, '0')}`,
+      holder: req.user.name,
+      currency
+    },
+    from,
+    to,
+    opening_balance: money.subtract(closing, total(items)),
+    closing_balance: closing,
+    total_credit: total(credits),
+    total_debit: money.negate(total(debits)),
+    items,
+    generated_at: new Date().toISOString()
+  });
+});
+
+route('GET', '/rates', (req) => {
+  const base = req.query.base || 'KZT';
+
+  if (!RATES[base]) {
+    return error(400, 'unsupported_currency', `Валюта ${base} не поддерживается`);
+  }
+
+  return json(200, {
+    base,
+    rates: Object.fromEntries(Object.entries(RATES).map(([code, rate]) => [code, rate / RATES[base]])),
+    updated_at: today()
+  });
+}, { auth: false });
+
+route('GET', '/users/:userId/events', (req) => {
+  return forbidOtherUsers(req) || userEventStream(req.user, req.signal);
+});
+
+// Orderings of GET /users/:userId/transactions, ascending; ties keep id order.
+// Amounts are compared in tenge so that foreign currency transactions sort among the rest.
+const TRANSACTION_SORTS = {
+  date: (a, b) => a.date.localeCompare(b.date) || a.id - b.id,
+  amount: (a, b) => convert(a.amount, 'KZT').amount - convert(b.amount, 'KZT').amount || a.id - b.id,
+  description: (a, b) => a.description.localeCompare(b.description, 'ru') || a.id - b.id
+};
+
+/**
+ * Parse transaction list filters
+ * @param {Object} query - Request query
+ * @returns {{filters: Object, fields: Object}} fields has a message per invalid parameter
+ */
+function parseTransactionFilters(query) {
+  const fields = {};
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const isAmount = (value) => /^\d+$/.test(value);
+
+  const { q = '', type, from, to, min_amount, max_amount, currency = 'KZT', sort = 'date', order = 'desc' } = query;
+
+  if (type && !['credit', 'debit'].includes(type)) fields.type = 'Допустимо: credit, debit';
+  if (from && !isDate(from)) fields.from = 'Формат даты: YYYY-MM-DD';
+  if (to && !isDate(to)) fields.to = 'Формат даты: YYYY-MM-DD';
+  if (min_amount && !isAmount(min_amount)) fields.min_amount = 'Сумма в минимальных единицах';
+  if (max_amount && !isAmount(max_amount)) fields.max_amount = 'Сумма в минимальных единицах';
+  if (!RATES[currency]) fields.currency = 'Неизвестная валюта';
+  if (!TRANSACTION_SORTS[sort]) fields.sort = `Допустимо: ${Object.keys(TRANSACTION_SORTS).join(', ')}`;
+  if (!['asc', 'desc'].includes(order)) fields.order = 'Допустимо: asc, desc';
+
+  return {
+    fields,
+    filters: {
+      q: q.trim().toLowerCase(),
+      type,
+      from,
+      to,
+      min: min_amount ? Number(min_amount) : null,
+      max: max_amount ? Number(max_amount) : null,
+      currency,
+      sort,
+      order
+    }
+  };
+}
+
+route('GET', '/users/:userId/transactions', (req) => {
+  const forbidden = forbidOtherUsers(req);
+  if (forbidden) return forbidden;
+
+  const { filters: f, fields } = parseTransactionFilters(req.query);
+
+  if (Object.keys(fields).length > 0) {
+    return error(422, 'validation_error', 'Некорректные параметры фильтра', fields);
+  }
+
+  const compare = TRANSACTION_SORTS[f.sort];
+  const inRange = (t) => {
+    const amount = Math.abs(convert(t.amount, f.currency).amount);
+    return (f.min === null || amount >= f.min) && (f.max === null || amount <= f.max);
+  };
+
+  const transactions = getScenario() === 'empty'
+    ? []
+    : state.transactions
+      .filter(t =>
+        t.user_id === req.user.id &&
+        (!f.q || t.description.toLowerCase().includes(f.q)) &&
+        (!f.type || t.type === f.type) &&
+        (!f.from || t.date >= f.from) &&
+        (!f.to || t.date <= f.to) &&
+        inRange(t)
+      )
+      .sort((a, b) => f.order === 'asc' ? compare(a, b) : compare(b, a))
+      .map(({ user_id, ...t }) => t);
+
+  // Cursor is the opaque id of the last item of the previous page
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const start = req.query.cursor
+    ? transactions.findIndex(t => String(t.id) === atob(req.query.cursor)) + 1
+    : 0;
+
+  if (start === 0 && req.query.cursor) {
+    return error(400, 'invalid_cursor', 'Некорректный курсор');
+  }
+
+  const items = transactions.slice(start, start + limit);
+  const hasMore = start + limit < transactions.length;
+
+  return json(200, {
+    items,
+    next_cursor: hasMore ? btoa(String(items[items.length - 1].id)) : null
+  });
+});
+
+route('GET', '/admin/logs', (req) => {
+  const forbidden = requirePermission(req, 'admin:logs:read');
+  if (forbidden) return forbidden;
+
+  const { user_id, action_type, status } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const pageSize = Math.min(parseInt(req.query.page_size) || 20, 100);
+
+  const logs = state.logs
+    .filter(log =>
+      (!user_id || log.user_id === parseInt(user_id)) &&
+      (!action_type || log.action_type === action_type) &&
+      (!status || log.status === status)
+    )
+    .sort((a, b) => b.id - a.id);
+
+  return json(200, {
+    items: logs.slice((page - 1) * pageSize, page * pageSize),
+    page,
+    page_size: pageSize,
+    total: logs.length
+  });
+});
+
+// ============= DISPATCH =============
+
+/**
+ * Handle API request
+ * @param {Object} ctx - {method, path, headers, body, signal}
+ * @returns {Promise<Response>}
+ */
+export async function handle(ctx) {
+  await networkDelay(ctx.signal);
+
+  // Aborted requests never reach the "server"
+  if (ctx.signal?.aborted) {
+    return error(499, 'client_closed_request', 'Request aborted');
+  }
+
+  const scenario = SCENARIOS[getScenario()];
+  const [pathname, queryString = ''] = ctx.path.split('?');
+  const isAuthRoute = pathname.startsWith('/auth/');
+
+  if (scenario.status && !isAuthRoute && Math.random() < (scenario.rate ?? 1)) {
+    return error(scenario.status, 'mock_scenario', `Mock scenario: ${scenario.label}`);
+  }
+
+  syncState();
+
+  const headers = ctx.headers || {};
+  const idempotencyKey = headers['Idempotency-Key'];
+
+  let match = null;
+  let methodMismatch = false;
+
+  for (const r of routes) {
+    const found = pathname.match(r.regex);
+    if (!found) continue;
+
+    if (r.method !== ctx.method) {
+      methodMismatch = true;
+      continue;
+    }
+
+    match = { route: r, values: found.slice(1) };
+    break;
+  }
+
+  if (!match) {
+    return methodMismatch
+      ? error(405, 'method_not_allowed', `${ctx.method} ${pathname} not allowed`)
+      : error(404, 'not_found', `No mock route for ${ctx.method} ${pathname}`);
+  }
+
+  const req = {
+    method: ctx.method,
+    path: pathname,
+    params: Object.fromEntries(match.route.paramNames.map((name, i) => [name, decodeURIComponent(match.values[i])])),
+    query: Object.fromEntries(new URLSearchParams(queryString)),
+    headers,
+    body: ctx.body,
+    signal: ctx.signal,
+    user: null
+  };
+
+  if (match.route.auth) {
+    req.user = authenticate(headers);
+    if (!req.user) {
+      return error(401, 'unauthorized', 'Требуется авторизация');
+    }
+  }
+
+  // Replay only to the user who made the request; keys are scoped to the route
+  const replayKey = idempotencyKey && `${req.user ? req.user.id : 'guest'}|${ctx.method} ${pathname}|${idempotencyKey}`;
+  const saved = replayKey && state.idempotency[replayKey];
+
+  if (saved) {
+    return json(saved.status, saved.body);
+  }
+
+  const response = await match.route.handler(req);
+
+  if (ctx.method !== 'GET') {
+    saveState();
+
+    // Failed requests are not stored, so a retry after fixing the input is handled anew
+    if (replayKey && response.ok) {
+      const body = await response.clone().json();
+
+      // Other requests may have saved state while the body was read
+      syncState();
+      state.idempotency[replayKey] = { status: response.status, body };
+
+      const keys = Object.keys(state.idempotency);
+      if (keys.length > MAX_IDEMPOTENCY_KEYS) {
+        delete state.idempotency[keys[0]];
+      }
+
+      saveState();
+    }
+  }
+
+  return response;
+}
+
+export default {
+  SCENARIOS,
+  handle,
+  reset,
+  setScenario,
+  getScenario,
+  getState,
+  simulateTransaction,
+  setAccessTokenTtl
+};
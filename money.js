@@ -0,0 +1,291 @@
+/**
+ * Zaman Bank - Money Module
+ * Exact money arithmetic in integer minor units (tiyn, cents, kopecks)
+ *
+ * Money is a plain serializable object {amount, currency}, where amount is
+ * an integer number of minor units. The API sends and receives amounts in
+ * this form, so values can go through the cache and localStorage unchanged.
+ */
+
+export const DEFAULT_CURRENCY = 'KZT';
+
+// Supported currencies: decimals = number of minor unit digits
+export const CURRENCIES = {
+  KZT: { name: 'Казахстанский тенге', symbol: '₸', decimals: 2 },
+  USD: { name: 'Доллар США', symbol: '$', decimals: 2 },
+  EUR: { name: 'Евро', symbol: '€', decimals: 2 },
+  RUB: { name: 'Российский рубль', symbol: '₽', decimals: 2 }
+};
+
+const formatters = new Map();
+
+/**
+ * Arithmetic on amounts in different currencies
+ */
+export class CurrencyMismatchError extends Error {
+  /**
+   * @param {string} expected
+   * @param {string} actual
+   */
+  constructor(expected, actual) {
+    super(`Currency mismatch: expected ${expected}, got ${actual}`);
+    this.name = 'CurrencyMismatchError';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Get currency settings
+ * @param {string} currency - ISO 4217 code
+ * @returns {{name: string, symbol: string, decimals: number}}
+ */
+function currencyInfo(currency) {
+  const info = CURRENCIES[currency];
+
+  if (!info) {
+    throw new TypeError(`Unsupported currency: ${currency}`);
+  }
+
+  return info;
+}
+
+/**
+ * Create money value
+ * @param {number} amount - Integer minor units
+ * @param {string} currency - ISO 4217 code
+ * @returns {{amount: number, currency: string}}
+ */
+export function money(amount, currency = DEFAULT_CURRENCY) {
+  currencyInfo(currency);
+
+  if (!Number.isSafeInteger(amount)) {
+    throw new TypeError(`Money amount must be an integer number of minor units, got ${amount}`);
+  }
+
+  return { amount, currency };
+}
+
+/**
+ * Check whether value is a money object
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isMoney(value) {
+  return !!value &&
+    typeof value === 'object' &&
+    Number.isSafeInteger(value.amount) &&
+    value.currency in CURRENCIES;
+}
+
+/**
+ * Create money from major units (e.g. 1234.5 tenge)
+ * Use for trusted numbers only; user input goes through parse().
+ * @param {number} value
+ * @param {string} currency
+ * @returns {{amount: number, currency: string}}
+ */
+export function fromMajor(value, currency = DEFAULT_CURRENCY) {
+  const { decimals } = currencyInfo(currency);
+  return money(Math.round(value * 10 ** decimals), currency);
+}
+
+/**
+ * Parse user input without floating point rounding
+ * Accepts "1234", "1234.5", "1 234,50" and the like.
+ * @param {string|number} input
+ * @param {string} currency
+ * @returns {{amount: number, currency: string}|null} null when input is not a valid amount
+ */
+export function parse(input, currency = DEFAULT_CURRENCY) {
+  const { decimals } = currencyInfo(currency);
+  const normalized = String(input).replace(/[\s ]/g, '').replace(',', '.');
+  const match = normalized.match(/^(-?)(\d+)(?:\.(\d*))?$/);
+
+  if (!match || (match[3] || '').length > decimals) {
+    return null;
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  const amount = Number(whole + fraction.padEnd(decimals, '0'));
+
+  if (!Number.isSafeInteger(amount)) {
+    return null;
+  }
+
+  return money(sign ? -amount : amount, currency);
+}
+
+/**
+ * Exact decimal representation in major units, e.g. "-1234.50"
+ * Suitable for input values.
+ * @param {{amount: number, currency: string}} value
+ * @returns {string}
+ */
+export function toDecimalString(value) {
+  const { decimals } = currencyInfo(value.currency);
+  const digits = String(Math.abs(value.amount)).padStart(decimals + 1, '0');
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = digits.slice(digits.length - decimals);
+
+  return `${value.amount < 0 ? '-' : ''}${whole}${decimals ? '.' + fraction : ''}`;
+}
+
+/**
+ * Amount in major units (for charts and ratios, not for arithmetic)
+ * @param {{amount: number, currency: string}} value
+ * @returns {number}
+ */
+export function toMajor(value) {
+  return value.amount / 10 ** currencyInfo(value.currency).decimals;
+}
+
+/**
+ * Throw unless both values use the same currency
+ * @param {Object} a
+ * @param {Object} b
+ */
+function assertSameCurrency(a, b) {
+  if (a.currency !== b.currency) {
+    throw new CurrencyMismatchError(a.currency, b.currency);
+  }
+}
+
+/**
+ * a + b
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {{amount: number, currency: string}}
+ */
+export function add(a, b) {
+  assertSameCurrency(a, b);
+  return money(a.amount + b.amount, a.currency);
+}
+
+/**
+ * a - b
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {{amount: number, currency: string}}
+ */
+export function subtract(a, b) {
+  assertSameCurrency(a, b);
+  return money(a.amount - b.amount, a.currency);
+}
+
+/**
+ * -value
+ * @param {Object} value
+ * @returns {{amount: number, currency: string}}
+ */
+export function negate(value) {
+  return money(-value.amount || 0, value.currency);
+}
+
+/**
+ * Sum of values in one currency
+ * @param {Array<Object>} values
+ * @param {string} currency - Currency of the result (and of an empty sum)
+ * @returns {{amount: number, currency: string}}
+ */
+export function sum(values, currency = DEFAULT_CURRENCY) {
+  return values.reduce(add, money(0, currency));
+}
+
+/**
+ * Compare values
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compare(a, b) {
+  assertSameCurrency(a, b);
+  return a.amount - b.amount;
+}
+
+/**
+ * a / b as a plain number (e.g. goal progress)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number} 0 when b is zero
+ */
+export function ratio(a, b) {
+  assertSameCurrency(a, b);
+  return b.amount === 0 ? 0 : a.amount / b.amount;
+}
+
+/**
+ * Convert to another currency
+ * Rates are quoted as units of a currency per one unit of `base`.
+ * @param {Object} value
+ * @param {string} currency - Target currency
+ * @param {{base: string, rates: Object}} rates - Exchange rates
+ * @returns {{amount: number, currency: string}}
+ * @throws {Error} When a rate is missing
+ */
+export function convert(value, currency, rates) {
+  if (value.currency === currency) {
+    return value;
+  }
+
+  const rateOf = (code) => {
+    const rate = code === rates.base ? 1 : rates.rates[code];
+
+    if (!(rate > 0)) {
+      throw new Error(`No exchange rate for ${code}`);
+    }
+
+    return rate;
+  };
+
+  const scale = 10 ** (currencyInfo(currency).decimals - currencyInfo(value.currency).decimals);
+  const amount = Math.round(value.amount * (rateOf(currency) / rateOf(value.currency)) * scale);
+
+  return money(amount || 0, currency);
+}
+
+/**
+ * Format for display, e.g. "250 000 ₸" or "15,99 $"
+ * Fraction digits are shown only when the amount has a fractional part.
+ * @param {Object} value
+ * @param {Object} options - {sign: always show +/-}
+ * @returns {string}
+ */
+export function format(value, { sign = false } = {}) {
+  const { decimals } = currencyInfo(value.currency);
+  const hasFraction = value.amount % 10 ** decimals !== 0;
+  const key = `${value.currency}|${hasFraction}|${sign}`;
+
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat('ru-RU', {
+      style: 'currency',
+      currency: value.currency,
+      currencyDisplay: 'narrowSymbol',
+      minimumFractionDigits: hasFraction ? decimals : 0,
+      maximumFractionDigits: decimals,
+      signDisplay: sign ? 'exceptZero' : 'auto'
+    }));
+  }
+
+  return formatters.get(key).format(toDecimalString(value));
+}
+
+export default {
+  DEFAULT_CURRENCY,
+  CURRENCIES,
+  CurrencyMismatchError,
+  money,
+  isMoney,
+  fromMajor,
+  parse,
+  toDecimalString,
+  toMajor,
+  add,
+  subtract,
+  negate,
+  sum,
+  compare,
+  ratio,
+  convert,
+  format
+};
@@ -0,0 +1,215 @@
+/**
+ * Zaman Bank - Offline Queue Module
+ * Stores mutations made while offline and replays them in order
+ * when connectivity returns
+ */
+
+import * as api from 'api.js';
+import { generateId } from 'utils.js';
+
+const STORAGE_KEY = 'offline_queue';
+const ID_MAP_KEY = 'offline_queue_ids';
+
+let initialized = false;
+let replaying = false;
+
+// Replay handlers by mutation type
+const executors = {
+  create_goal: (entry) => api.createGoal(entry.user_id, entry.payload, entry.idempotency_key),
+  ai_action: (entry) => api.executeAIAction(entry.user_id, entry.payload, entry.idempotency_key)
+};
+
+/**
+ * Initialize offline queue
+ * Replays pending mutations now and whenever the browser comes back online
+ */
+export function init() {
+  if (initialized) return;
+  initialized = true;
+
+  window.addEventListener('online', replay);
+
+  if (navigator.onLine && load().length > 0) {
+    replay();
+  }
+}
+
+/**
+ * Check whether an error means the request never reached the server
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isOfflineError(error) {
+  return !navigator.onLine || (error instanceof api.ApiError && error.isNetworkError);
+}
+
+/**
+ * Load queue from storage
+ * @returns {Array}
+ */
+function load() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    console.warn('Corrupted offline queue, resetting:', error);
+    return [];
+  }
+}
+
+/**
+ * Save queue to storage
+ * @param {Array} queue
+ */
+function save(queue) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+}
+
+/**
+ * Notify listeners about queue changes
+ * @param {string} status - queued, synced, conflict, failed
+ * @param {Object} entry
+ * @param {Object} extra - {result, error}
+ */
+function notify(status, entry, extra = {}) {
+  window.dispatchEvent(new CustomEvent('offline-queue', {
+    detail: { status, entry, ...extra }
+  }));
+}
+
+/**
+ * Add mutation to queue
+ * @param {string} type - Mutation type: create_goal, ai_action
+ * @param {number} userId
+ * @param {Object} payload - Arguments for the API call
+ * @param {string} idempotencyKey - Key of the failed online attempt, so replay can't duplicate it
+ * @returns {Object} Queued entry with temporary id
+ */
+export function enqueue(type, userId, payload, idempotencyKey = api.generateIdempotencyKey()) {
+  if (!executors[type]) {
+    throw new Error(`Unknown offline mutation type: ${type}`);
+  }
+
+  const entry = {
+    id: generateId(),
+    temp_id: `temp_${generateId()}`,
+    type,
+    user_id: userId,
+    payload,
+    idempotency_key: idempotencyKey,
+    created_at: new Date().toISOString()
+  };
+
+  const queue = load();
+  queue.push(entry);
+  save(queue);
+
+  notify('queued', entry);
+  return entry;
+}
+
+/**
+ * Get pending mutations
+ * @param {number} userId
+ * @param {string} [type] - Only this mutation type
+ * @returns {Array}
+ */
+export function getPending(userId, type) {
+  return load().filter(entry => entry.user_id === userId && (!type || entry.type === type));
+}
+
+/**
+ * Remove all pending mutations (e.g. on logout)
+ */
+export function clear() {
+  localStorage.removeItem(STORAGE_KEY);
+  localStorage.removeItem(ID_MAP_KEY);
+}
+
+/**
+ * Replace temporary ids with server-assigned ones
+ * Later mutations may reference objects created earlier while offline.
+ * @param {any} value
+ * @param {Object} idMap - temp_id -> server id
+ * @returns {any}
+ */
+function resolveTempIds(value, idMap) {
+  if (typeof value === 'string' && value in idMap) {
+    return idMap[value];
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => resolveTempIds(item, idMap));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveTempIds(item, idMap)])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Replay queued mutations in order
+ * Stops at the first network or server error and keeps the rest queued.
+ * Client errors (409 conflict, 4xx) and invalid responses drop the mutation
+ * and notify listeners.
+ * @returns {Promise<void>}
+ */
+export async function replay() {
+  if (replaying) return;
+  replaying = true;
+
+  const idMap = JSON.parse(localStorage.getItem(ID_MAP_KEY) || '{}');
+
+  try {
+    let queue = load();
+
+    while (queue.length > 0) {
+      const entry = { ...queue[0], payload: resolveTempIds(queue[0].payload, idMap) };
+      let status;
+      let outcome;
+
+      try {
+        const result = await executors[entry.type](entry);
+
+        if (result && result.id !== undefined) {
+          idMap[entry.temp_id] = result.id;
+          localStorage.setItem(ID_MAP_KEY, JSON.stringify(idMap));
+        }
+
+        status = 'synced';
+        outcome = { result };
+      } catch (error) {
+        // Other errors, contract violations included, would repeat on every replay
+        if (isOfflineError(error) || (error instanceof api.ApiError && error.status >= 500)) {
+          console.warn('Offline queue replay paused:', error);
+          return;
+        }
+
+        status = error.status === 409 ? 'conflict' : 'failed';
+        outcome = { error };
+      }
+
+      // Re-read in case new mutations were queued during the request
+      queue = load().filter(item => item.id !== entry.id);
+      save(queue);
+
+      notify(status, entry, outcome);
+    }
+
+    localStorage.removeItem(ID_MAP_KEY);
+  } finally {
+    replaying = false;
+  }
+}
+
+export default {
+  init,
+  isOfflineError,
+  enqueue,
+  getPending,
+  clear,
+  replay
+};
@@ -0,0 +1,292 @@
+/**
+ * Zaman Bank - Profile Module
+ * Handles personal data, password change and active sessions
+ */
+
+import * as api from 'api.js';
+import * as auth from 'auth.js';
+import * as ui from 'ui.js';
+import * as validator from 'validator.js';
+
+let sessionsData = [];
+
+/**
+ * Initialize profile page
+ */
+export async function init() {
+  const profileForm = document.getElementById('profile-form');
+  const passwordForm = document.getElementById('password-form');
+  const sessionsContainer = document.getElementById('sessions-list');
+
+  profileForm.addEventListener('submit', handleProfileSubmit);
+  passwordForm.addEventListener('submit', handlePasswordSubmit);
+  document.getElementById('revoke-other-sessions').addEventListener('click', handleRevokeOtherSessions);
+
+  sessionsContainer.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-revoke-session]');
+    if (button) {
+      handleRevokeSession(button.dataset.revokeSession);
+    }
+  });
+
+  // Edits made in another tab
+  window.addEventListener('user-updated', (e) => fillProfileForm(e.detail.user));
+
+  // Show the stored snapshot right away, then the server's version
+  fillProfileForm(auth.getCurrentUser());
+
+  await Promise.all([loadProfile(), loadSessions()]);
+}
+
+/**
+ * Load fresh user data
+ */
+async function loadProfile() {
+  try {
+    fillProfileForm(await auth.refreshCurrentUser());
+  } catch (error) {
+    if (api.isAbortError(error)) return;
+
+    // The stored snapshot stays on screen
+    console.warn('Failed to load profile:', error);
+  }
+}
+
+/**
+ * Fill personal data form
+ * @param {Object|null} user
+ */
+function fillProfileForm(user) {
+  const form = document.getElementById('profile-form');
+
+  if (!form || !user) return;
+
+  form.name.value = user.name;
+  form.email.value = user.email;
+
+  const status = document.getElementById('email-status');
+  const verified = user.email_verified !== false;
+
+  status.textContent = verified ? 'Подтверждён' : 'Не подтверждён';
+  status.className = `badge ${verified ? 'badge-success' : 'badge-warning'}`;
+}
+
+/**
+ * Handle personal data form submission
+ * Only changed fields are sent.
+ * @param {Event} event
+ */
+async function handleProfileSubmit(event) {
+  event.preventDefault();
+
+  const form = event.target;
+  const user = auth.getCurrentUser();
+  const submitBtn = form.querySelector('button[type="submit"]');
+
+  const isValid = validator.validateForm(form, {
+    name: [(value) => validator.validateRequired(value, 'Имя')],
+    email: [validator.validateEmail]
+  });
+
+  if (!isValid) return;
+
+  const updates = {};
+  const name = form.name.value.trim();
+  const email = form.email.value.trim();
+
+  if (name !== user.name) updates.name = name;
+  if (email !== user.email) updates.email = email;
+
+  if (Object.keys(updates).length === 0) {
+    ui.showToast('Изменений нет', 'info');
+    return;
+  }
+
+  submitBtn.disabled = true;
+  submitBtn.textContent = 'Сохранение...';
+
+  try {
+    const updated = await api.updateProfile(auth.getCurrentUserId(), updates);
+    auth.saveCurrentUser(updated);
+    fillProfileForm(updated);
+
+    if (updates.email) {
+      ui.showToast('Данные сохранены. Подтвердите новый email по ссылке из письма.', 'success', 5000);
+    } else {
+      ui.showToast('Данные сохранены', 'success');
+    }
+  } catch (error) {
+    console.error('Failed to update profile:', error);
+    if (error instanceof api.ApiError) {
+      validator.showFieldErrors(form, error.fieldErrors);
+    }
+    ui.showToast(api.getErrorMessage(error, 'Не удалось сохранить данные'), 'error');
+  } finally {
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Сохранить';
+  }
+}
+
+/**
+ * Handle password change form submission
+ * @param {Event} event
+ */
+async function handlePasswordSubmit(event) {
+  event.preventDefault();
+
+  const form = event.target;
+  const submitBtn = form.querySelector('button[type="submit"]');
+
+  const isValid = validator.validateForm(form, {
+    current_password: [(value) => validator.validateRequired(value, 'Текущий пароль')],
+    new_password: [validator.validatePassword]
+  });
+
+  if (!isValid) return;
+
+  if (form.new_password.value !== form.confirm_password.value) {
+    validator.showError(form.confirm_password, 'Пароли не совпадают');
+    return;
+  }
+
+  validator.clearError(form.confirm_password);
+
+  submitBtn.disabled = true;
+  submitBtn.textContent = 'Сохранение...';
+
+  try {
+    await api.changePassword(auth.getCurrentUserId(), form.current_password.value, form.new_password.value);
+    form.reset();
+    ui.showToast('Пароль изменён. Сеансы на других устройствах завершены.', 'success', 5000);
+
+    // The server ended the other sessions
+    await loadSessions();
+  } catch (error) {
+    console.error('Failed to change password:', error);
+    if (error instanceof api.ApiError) {
+      validator.showFieldErrors(form, error.fieldErrors);
+    }
+    ui.showToast(api.getErrorMessage(error, 'Не удалось изменить пароль'), 'error');
+  } finally {
+    submitBtn.disabled = false;
+    submitBtn.textContent = 'Изменить пароль';
+  }
+}
+
+/**
+ * Load active sessions
+ */
+async function loadSessions() {
+  const container = document.getElementById('sessions-list');
+
+  if (!container) return;
+
+  ui.showLoading(container);
+
+  try {
+    sessionsData = await api.getSessions(auth.getCurrentUserId(), { key: 'profile-sessions' });
+    renderSessions(container);
+  } catch (error) {
+    if (api.isAbortError(error)) return;
+
+    console.error('Failed to load sessions:', error);
+    container.innerHTML = '<p>Ошибка загрузки сеансов</p>';
+  }
+}
+
+/**
+ * Render sessions table
+ * @param {HTMLElement} container
+ */
+function renderSessions(container) {
+  document.getElementById('revoke-other-sessions').disabled = !sessionsData.some(s => !s.current);
+
+  container.innerHTML = `
+    <table class="table">
+      <thead>
+        <tr>
+          <th>Устройство</th>
+          <th>Вход</th>
+          <th>Последняя активность</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        ${sessionsData.map(session => `
+          <tr>
+            <td>${session.device}</td>
+            <td>${ui.formatDate(session.created_at)}</td>
+            <td>${ui.formatDate(session.last_used_at)}</td>
+            <td style="text-align: right;">
+              ${session.current
+                ? '<span class="badge badge-success">Этот сеанс</span>'
+                : `<button class="btn btn-sm btn-ghost" data-revoke-session="${session.id}">Завершить</button>`}
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * End session on another device
+ * @param {string} sessionId
+ */
+async function handleRevokeSession(sessionId) {
+  const session = sessionsData.find(s => String(s.id) === sessionId);
+
+  if (!session) return;
+
+  const confirmed = await ui.showConfirmModal(
+    'Завершить сеанс?',
+    `Устройство «${session.device}» будет отключено от аккаунта.`,
+    'Завершить'
+  );
+
+  if (!confirmed) return;
+
+  try {
+    await api.revokeSession(auth.getCurrentUserId(), session.id);
+    sessionsData = sessionsData.filter(s => s !== session);
+    renderSessions(document.getElementById('sessions-list'));
+    ui.showToast('Сеанс завершён', 'success');
+  } catch (error) {
+    console.error('Failed to revoke session:', error);
+
+    // Already ended elsewhere
+    if (error instanceof api.ApiError && error.status === 404) {
+      await loadSessions();
+      return;
+    }
+
+    ui.showToast(api.getErrorMessage(error, 'Не удалось завершить сеанс'), 'error');
+  }
+}
+
+/**
+ * End all sessions except this one
+ */
+async function handleRevokeOtherSessions() {
+  const confirmed = await ui.showConfirmModal(
+    'Завершить другие сеансы?',
+    'Все устройства, кроме этого, будут отключены от аккаунта.',
+    'Завершить все'
+  );
+
+  if (!confirmed) return;
+
+  try {
+    const { revoked } = await api.revokeOtherSessions(auth.getCurrentUserId());
+    sessionsData = sessionsData.filter(s => s.current);
+    renderSessions(document.getElementById('sessions-list'));
+    ui.showToast(`Завершено сеансов: ${revoked}`, 'success');
+  } catch (error) {
+    console.error('Failed to revoke sessions:', error);
+    ui.showToast(api.getErrorMessage(error, 'Не удалось завершить сеансы'), 'error');
+  }
+}
+
+export default {
+  init
+};
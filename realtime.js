@@ -0,0 +1,222 @@
+/**
+ * Zaman Bank - Realtime Module
+ * Keeps a live connection to the account event stream and re-broadcasts
+ * server events as `realtime-event` window events.
+ * Reconnects with exponential backoff and falls back to polling while
+ * the stream is unavailable.
+ */
+
+import * as api from 'api.js';
+
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+const POLL_AFTER_FAILURES = 3;
+const POLL_INTERVAL = 30000;
+
+let userId = null;
+let controller = null;
+let failures = 0;
+let reconnectTimer = null;
+let pollTimer = null;
+let status = 'closed';
+let listening = false;
+
+/**
+ * Connect to account events of user
+ * Safe to call repeatedly; an existing connection for another user is replaced.
+ * @param {number} id - User ID
+ */
+export function connect(id) {
+  if (userId === id && status !== 'closed') return;
+
+  disconnect();
+  userId = id;
+  failures = 0;
+
+  if (!listening) {
+    listening = true;
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+  }
+
+  open();
+}
+
+/**
+ * Close connection and stop polling
+ */
+export function disconnect() {
+  clearTimeout(reconnectTimer);
+  stopPolling();
+
+  if (controller) {
+    controller.abort();
+    controller = null;
+  }
+
+  userId = null;
+  setStatus('closed');
+}
+
+/**
+ * Get connection status
+ * @returns {string} connecting, live, polling, offline, closed
+ */
+export function getStatus() {
+  return status;
+}
+
+/**
+ * Update status and notify listeners
+ * @param {string} next
+ */
+function setStatus(next) {
+  if (status === next) return;
+
+  status = next;
+  window.dispatchEvent(new CustomEvent('realtime-status', { detail: { status } }));
+}
+
+/**
+ * Re-broadcast server event
+ * @param {string} type - ready, balance, transaction, goal, goal_deleted, poll
+ * @param {Object} data
+ */
+function emit(type, data) {
+  window.dispatchEvent(new CustomEvent('realtime-event', { detail: { type, data } }));
+}
+
+/**
+ * Open event stream and keep it open until disconnect()
+ */
+async function open() {
+  if (!navigator.onLine) {
+    setStatus('offline');
+    return;
+  }
+
+  const currentController = new AbortController();
+  controller = currentController;
+
+  if (!pollTimer) {
+    setStatus('connecting');
+  }
+
+  try {
+    await api.subscribeUserEvents(userId, (type, data) => {
+      if (type === 'ready') {
+        failures = 0;
+        stopPolling();
+        setStatus('live');
+      }
+
+      emit(type, data);
+    }, { signal: currentController.signal });
+  } catch (error) {
+    if (api.isAbortError(error) || currentController.signal.aborted) return;
+
+    // Session is gone; auth handles the redirect
+    if (error instanceof api.ApiError && (error.status === 401 || error.status === 403)) {
+      disconnect();
+      return;
+    }
+
+    console.warn('Account event stream failed:', error);
+  }
+
+  if (currentController.signal.aborted) return;
+
+  scheduleReconnect();
+}
+
+/**
+ * Retry the stream after a growing delay
+ * Switches to polling once the stream failed several times in a row.
+ */
+function scheduleReconnect() {
+  failures++;
+
+  if (failures >= POLL_AFTER_FAILURES) {
+    startPolling();
+  } else {
+    setStatus('connecting');
+  }
+
+  const delay = Math.min(RECONNECT_BASE_DELAY * Math.pow(2, failures - 1), RECONNECT_MAX_DELAY);
+  reconnectTimer = setTimeout(open, delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Poll the balance while the stream is down
+ * Listeners receive `balance` plus a `poll` event to revalidate other data.
+ */
+function startPolling() {
+  if (pollTimer) return;
+
+  setStatus('polling');
+
+  const poll = async () => {
+    try {
+      const { balance } = await api.getBalance(userId, { key: 'realtime-poll' });
+      emit('balance', { balance });
+      emit('poll', {});
+    } catch (error) {
+      if (!api.isAbortError(error)) {
+        console.warn('Balance polling failed:', error);
+      }
+    }
+  };
+
+  poll();
+  pollTimer = setInterval(poll, POLL_INTERVAL);
+}
+
+/**
+ * Stop polling (stream is back or connection closed)
+ */
+function stopPolling() {
+  if (!pollTimer) return;
+
+  clearInterval(pollTimer);
+  pollTimer = null;
+  api.abortRequest('realtime-poll');
+}
+
+/**
+ * Reconnect immediately when the browser comes back online
+ */
+function handleOnline() {
+  if (userId === null) return;
+
+  clearTimeout(reconnectTimer);
+  failures = 0;
+
+  if (controller) {
+    controller.abort();
+  }
+
+  open();
+}
+
+/**
+ * Pause reconnect attempts while the browser is offline
+ */
+function handleOffline() {
+  if (userId === null) return;
+
+  clearTimeout(reconnectTimer);
+  stopPolling();
+
+  if (controller) {
+    controller.abort();
+    controller = null;
+  }
+
+  setStatus('offline');
+}
+
+export default {
+  connect,
+  disconnect,
+  getStatus
+};
@@ -0,0 +1,419 @@
+/**
+ * Zaman Bank - API Schemas Module
+ * Declares response contracts for api.js endpoints and validates them at runtime
+ *
+ * In development (localhost) a contract violation throws ContractError.
+ * In production invalid records are dropped from lists and a warning is
+ * logged, so one bad record doesn't break the whole page.
+ */
+
+import { CURRENCIES } from 'money.js';
+
+let strictMode = ['localhost', '127.0.0.1', ''].includes(window.location.hostname);
+
+/**
+ * Response doesn't match the declared contract
+ */
+export class ContractError extends Error {
+  /**
+   * @param {string} endpoint - e.g. "GET /users/:id/goals"
+   * @param {Array<string>} issues - Human readable violations
+   */
+  constructor(endpoint, issues) {
+    super(`Contract violation in ${endpoint}:\n  ${issues.join('\n  ')}`);
+    this.name = 'ContractError';
+    this.endpoint = endpoint;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Throw on violations (development) or sanitize (production)
+ * @param {boolean} strict
+ */
+export function setStrictMode(strict) {
+  strictMode = strict;
+}
+
+/**
+ * Describe value type for error messages
+ * @param {any} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && isNaN(value)) return 'NaN';
+  return typeof value;
+}
+
+/**
+ * Build schema from predicate
+ * @param {string} description - Expected value, used in messages
+ * @param {Function} test - (value) => boolean
+ * @returns {Object} Schema
+ */
+function primitive(description, test) {
+  return {
+    description,
+    check(value, path) {
+      if (test(value)) return [];
+
+      const shown = ['string', 'number'].includes(typeof value) ? ` ${JSON.stringify(value)}` : '';
+      return [`${path || 'response'}: expected ${description}, got ${typeOf(value)}${shown}`];
+    }
+  };
+}
+
+// ============= SCHEMA BUILDERS =============
+
+export const string = () => primitive('string', v => typeof v === 'string');
+
+export const number = ({ min = -Infinity } = {}) => primitive(
+  min === -Infinity ? 'number' : `number >= ${min}`,
+  v => typeof v === 'number' && isFinite(v) && v >= min
+);
+
+export const boolean = () => primitive('boolean', v => typeof v === 'boolean');
+
+export const id = () => primitive('id (number or string)', v => (typeof v === 'number' && isFinite(v)) || (typeof v === 'string' && v !== ''));
+
+export const date = () => primitive('date string', v => typeof v === 'string' && !isNaN(new Date(v).getTime()));
+
+export const oneOf = (values) => primitive(`one of ${values.join(', ')}`, v => values.includes(v));
+
+export const any = () => primitive('any value', () => true);
+
+export const integer = () => primitive('integer', v => Number.isSafeInteger(v));
+
+/**
+ * Allow null in addition to schema
+ * @param {Object} schema
+ * @returns {Object}
+ */
+export function nullable(schema) {
+  return {
+    description: `${schema.description} or null`,
+    check: (value, path) => value === null ? [] : schema.check(value, path),
+    sanitize: schema.sanitize && (value => value === null ? null : schema.sanitize(value))
+  };
+}
+
+/**
+ * Allow missing (undefined) value
+ * @param {Object} schema
+ * @returns {Object}
+ */
+export function optional(schema) {
+  return {
+    description: `${schema.description} (optional)`,
+    optional: true,
+    check: (value, path) => value === undefined ? [] : schema.check(value, path),
+    sanitize: schema.sanitize && (value => value === undefined ? undefined : schema.sanitize(value))
+  };
+}
+
+/**
+ * Object with declared fields (extra fields are allowed)
+ * @param {Object} shape - Field name -> schema
+ * @returns {Object}
+ */
+export function object(shape) {
+  return {
+    description: 'object',
+    check(value, path = '') {
+      if (typeOf(value) !== 'object') {
+        return [`${path || 'response'}: expected object, got ${typeOf(value)}`];
+      }
+
+      return Object.entries(shape).flatMap(([field, schema]) =>
+        schema.check(value[field], path ? `${path}.${field}` : field)
+      );
+    },
+    sanitize(value) {
+      if (typeOf(value) !== 'object') return value;
+
+      const result = { ...value };
+      for (const [field, schema] of Object.entries(shape)) {
+        if (schema.sanitize && !(schema.optional && result[field] === undefined)) {
+          result[field] = schema.sanitize(result[field]);
+        }
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * Array of items; sanitizing drops invalid items
+ * @param {Object} item - Item schema
+ * @returns {Object}
+ */
+export function arrayOf(item) {
+  return {
+    description: `array of ${item.description}`,
+    check(value, path = '') {
+      if (!Array.isArray(value)) {
+        return [`${path || 'response'}: expected array, got ${typeOf(value)}`];
+      }
+
+      return value.flatMap((entry, i) => item.check(entry, `${path}[${i}]`));
+    },
+    sanitize(value) {
+      if (!Array.isArray(value)) return [];
+
+      return value
+        .filter(entry => item.check(entry, '').length === 0)
+        .map(entry => item.sanitize ? item.sanitize(entry) : entry);
+    }
+  };
+}
+
+/**
+ * Value matching at least one of the schemas
+ * @param {...Object} schemas
+ * @returns {Object}
+ */
+export function anyOf(...schemas) {
+  return {
+    description: schemas.map(schema => schema.description).join(' | '),
+    check(value, path = '') {
+      const results = schemas.map(schema => schema.check(value, path));
+
+      if (results.some(issues => issues.length === 0)) {
+        return [];
+      }
+
+      // Report the closest match
+      return results.reduce((best, issues) => issues.length < best.length ? issues : best);
+    }
+  };
+}
+
+// ============= API CONTRACTS =============
+
+/**
+ * Money in integer minor units
+ * @param {Object} options - {min: minimum amount in minor units}
+ * @returns {Object}
+ */
+export function money({ min = -Infinity } = {}) {
+  const amount = integer();
+
+  return object({
+    amount: min === -Infinity ? amount : primitive(`integer >= ${min}`, v => Number.isSafeInteger(v) && v >= min),
+    currency: oneOf(Object.keys(CURRENCIES))
+  });
+}
+
+export const currency = oneOf(Object.keys(CURRENCIES));
+
+export const user = object({
+  id: id(),
+  name: string(),
+  email: string(),
+  role: optional(oneOf(['user', 'admin'])),
+  email_verified: optional(boolean()),
+  permissions: optional(arrayOf(string())),
+  two_factor_enabled: optional(boolean()),
+  balance: optional(money())
+});
+
+export const authSession = object({
+  user_id: id(),
+  access_token: string(),
+  refresh_token: optional(string()),
+  user: optional(user),
+  recovery_codes_left: optional(number({ min: 0 }))
+});
+
+export const otpChallenge = object({
+  otp_required: oneOf([true]),
+  challenge_id: string(),
+  method: oneOf(['sms', 'totp']),
+  destination: optional(string()),
+  attempts_left: number({ min: 0 }),
+  resend_in: number({ min: 0 })
+});
+
+export const loginResult = anyOf(authSession, otpChallenge);
+
+export const otpResend = object({
+  resend_in: number({ min: 0 })
+});
+
+export const emailSent = object({
+  sent: boolean(),
+  resend_in: optional(number({ min: 0 }))
+});
+
+export const passwordReset = object({
+  success: boolean()
+});
+
+export const emailVerification = object({
+  user
+});
+
+export const passwordChange = object({
+  success: boolean()
+});
+
+export const session = object({
+  id: id(),
+  device: string(),
+  created_at: date(),
+  last_used_at: date(),
+  current: boolean()
+});
+
+export const sessionList = arrayOf(session);
+
+export const sessionRevocation = object({
+  revoked: number({ min: 0 })
+});
+
+export const tokenRefresh = object({
+  access_token: string(),
+  refresh_token: optional(string())
+});
+
+export const goal = object({
+  id: id(),
+  title: string(),
+  target_amount: money({ min: 0 }),
+  current_amount: money({ min: 0 }),
+  deadline: date(),
+  created_at: optional(date())
+});
+
+export const goalList = arrayOf(goal);
+
+export const goalTransfer = object({
+  goal,
+  balance: money()
+});
+
+export const goalContribution = object({
+  goal_id: id(),
+  date: date(),
+  amount: money()
+});
+
+export const goalContributionList = arrayOf(goalContribution);
+
+export const goalDeletion = object({
+  success: boolean(),
+  balance: optional(money())
+});
+
+export const transaction = object({
+  id: id(),
+  date: date(),
+  description: string(),
+  amount: money(),
+  type: oneOf(['credit', 'debit'])
+});
+
+export const transactionPage = object({
+  items: arrayOf(transaction),
+  next_cursor: nullable(string())
+});
+
+export const statement = object({
+  account: object({
+    number: string(),
+    holder: string(),
+    currency
+  }),
+  from: date(),
+  to: date(),
+  opening_balance: money(),
+  closing_balance: money(),
+  total_credit: money({ min: 0 }),
+  total_debit: money({ min: 0 }),
+  items: arrayOf(object({
+    id: id(),
+    date: date(),
+    description: string(),
+    amount: money(),
+    account_amount: money(),
+    type: oneOf(['credit', 'debit'])
+  })),
+  generated_at: date()
+});
+
+export const balance = object({
+  balance: money()
+});
+
+export const exchangeRates = object({
+  base: currency,
+  rates: object(Object.fromEntries(Object.keys(CURRENCIES).map(code => [code, optional(number({ min: 0 }))]))),
+  updated_at: optional(date())
+});
+
+// Payloads of server-pushed account events by event name
+export const userEvents = {
+  ready: balance,
+  balance,
+  transaction: object({ transaction, balance: money() }),
+  goal: object({ goal }),
+  goal_deleted: object({ goal_id: id() })
+};
+
+export const adminLog = object({
+  id: id(),
+  user_id: id(),
+  action_type: string(),
+  timestamp: string(),
+  status: string()
+});
+
+export const adminLogPage = object({
+  items: arrayOf(adminLog),
+  page: number({ min: 1 }),
+  page_size: number({ min: 0 }),
+  total: number({ min: 0 })
+});
+
+export const aiReply = object({
+  text: string(),
+  suggested_action: optional(nullable(object({ type: string() })))
+});
+
+export const aiActionResult = object({
+  success: boolean(),
+  result: optional(any())
+});
+
+// ============= VALIDATION =============
+
+/**
+ * Validate response against schema
+ * @param {Object} schema
+ * @param {any} data - Response data
+ * @param {string} endpoint - Endpoint name for messages, e.g. "GET /users/:id/goals"
+ * @returns {any} Data, sanitized in production if it violated the contract
+ * @throws {ContractError} In strict mode when data violates the contract
+ */
+export function validate(schema, data, endpoint) {
+  const issues = schema.check(data, '');
+
+  if (issues.length === 0) {
+    return data;
+  }
+
+  if (strictMode) {
+    throw new ContractError(endpoint, issues);
+  }
+
+  console.warn(new ContractError(endpoint, issues).message);
+  return schema.sanitize ? schema.sanitize(data) : data;
+}
+
+export default {
+  ContractError,
+  setStrictMode,
+  validate
+};
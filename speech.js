@@ -127,6 +127,74 @@ export function speak(text, onEnd) {
   synthesis.speak(utterance);
 }
 
+/**
+ * Speak text that arrives in chunks, one complete sentence at a time
+ * Speech starts as soon as the first sentence is complete instead of
+ * waiting for the full text.
+ * @returns {{push: Function, end: Function, cancel: Function}}
+ */
+export function createSpeechStream() {
+  let buffer = '';
+  let started = false;
+  let cancelled = false;
+
+  const speakSentence = (sentence) => {
+    if (!isSpeechEnabled || !synthesis || cancelled || !sentence.trim()) {
+      return;
+    }
+
+    // Cancel previous reply only once; later sentences queue up
+    if (!started) {
+      synthesis.cancel();
+      started = true;
+    }
+
+    const utterance = new SpeechSynthesisUtterance(sentence.trim());
+    utterance.lang = 'ru-RU';
+    utterance.rate = 1.0;
+    utterance.pitch = 1.0;
+    utterance.volume = 1.0;
+
+    synthesis.speak(utterance);
+  };
+
+  return {
+    /**
+     * Add text chunk; speaks every sentence completed by it
+     * @param {string} chunk
+     */
+    push(chunk) {
+      buffer += chunk;
+
+      // A sentence is complete once its punctuation is followed by whitespace
+      let match;
+      while ((match = buffer.match(/^[\s\S]*?[.!?…]+\s+/))) {
+        speakSentence(match[0]);
+        buffer = buffer.slice(match[0].length);
+      }
+    },
+
+    /**
+     * Speak whatever is left in the buffer
+     */
+    end() {
+      speakSentence(buffer);
+      buffer = '';
+    },
+
+    /**
+     * Stop speaking and drop buffered text
+     */
+    cancel() {
+      cancelled = true;
+      buffer = '';
+      if (started && synthesis) {
+        synthesis.cancel();
+      }
+    }
+  };
+}
+
 /**
  * Stop current speech
  */
@@ -162,6 +230,7 @@ export default {
   stopListening,
   getIsListening,
   speak,
+  createSpeechStream,
   stopSpeaking,
   setSpeechEnabled,
   getSpeechEnabled
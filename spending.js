@@ -0,0 +1,339 @@
+/**
+ * Zaman Bank - Spending Analytics Module
+ * Spending of a month by category compared with the previous month,
+ * with a donut chart drawn as inline SVG
+ *
+ * Amounts are totalled in the account currency; foreign transactions are
+ * converted with the exchange rates passed to loadSpending().
+ */
+
+import * as api from 'api.js';
+import * as categories from 'categories.js';
+import * as money from 'money.js';
+import * as ui from 'ui.js';
+
+// Transactions fetched per request while collecting two months
+const PAGE_LIMIT = 100;
+
+// Circle radius with a circumference of 100, so dash lengths are percents
+const DONUT_RADIUS = 15.915;
+
+let selectedMonth = monthKey(new Date());
+let spendingData = [];
+let spendingUserId = null;
+let exchangeRates = null;
+let initialized = false;
+
+/**
+ * Month of a date as "YYYY-MM"
+ * @param {Date} date
+ * @returns {string}
+ */
+function monthKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Move month by a number of months
+ * @param {string} month - "YYYY-MM"
+ * @param {number} delta
+ * @returns {string}
+ */
+function shiftMonth(month, delta) {
+  const [year, index] = month.split('-').map(Number);
+  return monthKey(new Date(year, index - 1 + delta, 1));
+}
+
+/**
+ * Format month for headings, e.g. "Октябрь 2025 г."
+ * @param {string} month - "YYYY-MM"
+ * @returns {string}
+ */
+function formatMonth(month) {
+  const [year, index] = month.split('-').map(Number);
+  const text = new Intl.DateTimeFormat('ru-RU', { month: 'long', year: 'numeric' }).format(new Date(year, index - 1, 1));
+
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Relative change between two amounts
+ * @param {number} current
+ * @param {number} previous
+ * @returns {number|null} e.g. 0.25 for +25%, null when there is nothing to compare with
+ */
+function changeRatio(current, previous) {
+  return previous > 0 ? (current - previous) / previous : null;
+}
+
+/**
+ * Total spending of a month and the previous one by category
+ * Only debits count; categories in categories.NON_SPENDING are left out.
+ * @param {Array<Object>} transactions
+ * @param {string} month - "YYYY-MM"
+ * @param {Object} options - {rates: exchange rates for foreign amounts, overrides: see categories.getOverrides()}
+ * @returns {{month: string, previousMonth: string, total: Object, previousTotal: Object, change: number|null,
+ *   categories: Array<{id: string, amount: Object, previous: Object, share: number, change: number|null}>,
+ *   skipped: number}} Categories by amount, largest first; skipped counts amounts that could not be converted
+ */
+export function summarizeSpending(transactions, month, { rates = null, overrides = categories.getOverrides() } = {}) {
+  const currency = money.DEFAULT_CURRENCY;
+  const previousMonth = shiftMonth(month, -1);
+  const totals = {};
+  let skipped = 0;
+
+  transactions.forEach(t => {
+    const period = { [month]: 'amount', [previousMonth]: 'previous' }[t.date.slice(0, 7)];
+
+    if (t.type !== 'debit' || !period) return;
+
+    const category = categories.categorize(t, overrides);
+    if (categories.NON_SPENDING.includes(category)) return;
+
+    let value = null;
+    try {
+      value = t.amount.currency === currency ? t.amount : rates && money.convert(t.amount, currency, rates);
+    } catch (error) {
+      console.warn('Cannot convert amount:', error);
+    }
+
+    if (!value) {
+      skipped++;
+      return;
+    }
+
+    totals[category] = totals[category] || { amount: 0, previous: 0 };
+    totals[category][period] += Math.abs(value.amount);
+  });
+
+  const rows = Object.entries(totals);
+  const total = rows.reduce((sum, [, t]) => sum + t.amount, 0);
+  const previousTotal = rows.reduce((sum, [, t]) => sum + t.previous, 0);
+
+  return {
+    month,
+    previousMonth,
+    total: money.money(total, currency),
+    previousTotal: money.money(previousTotal, currency),
+    change: changeRatio(total, previousTotal),
+    categories: rows
+      .map(([id, t]) => ({
+        id,
+        amount: money.money(t.amount, currency),
+        previous: money.money(t.previous, currency),
+        share: total > 0 ? t.amount / total : 0,
+        change: changeRatio(t.amount, t.previous)
+      }))
+      .sort((a, b) => b.amount.amount - a.amount.amount || b.previous.amount - a.previous.amount),
+    skipped
+  };
+}
+
+/**
+ * Initialize spending panel
+ * Re-renders when the user recategorizes a transaction.
+ */
+export function init() {
+  const container = document.getElementById('spending-panel');
+
+  if (initialized || !container) return;
+  initialized = true;
+
+  container.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-month-shift]');
+    if (!button) return;
+
+    selectedMonth = shiftMonth(selectedMonth, Number(button.dataset.monthShift));
+    loadSpending(spendingUserId);
+  });
+
+  window.addEventListener('categories-updated', () => renderSpending(container));
+}
+
+/**
+ * Load debits of the selected and the previous month and render the panel
+ * @param {number} userId
+ * @param {Object|null} rates - Exchange rates against the account currency
+ */
+export async function loadSpending(userId, rates = exchangeRates) {
+  const container = document.getElementById('spending-panel');
+
+  if (!container) return;
+
+  spendingUserId = userId;
+  exchangeRates = rates;
+  container.style.opacity = '0.6';
+
+  const [year, index] = selectedMonth.split('-').map(Number);
+  const query = {
+    type: 'debit',
+    from: `${shiftMonth(selectedMonth, -1)}-01`,
+    to: `${selectedMonth}-${String(new Date(year, index, 0).getDate()).padStart(2, '0')}`,
+    limit: PAGE_LIMIT
+  };
+
+  try {
+    const items = [];
+    let cursor = null;
+
+    do {
+      const page = await api.getUserTransactions(userId, { ...query, cursor }, { key: 'dashboard-spending' });
+      items.push(...page.items);
+      cursor = page.next_cursor;
+    } while (cursor);
+
+    spendingData = items;
+    renderSpending(container);
+  } catch (error) {
+    if (api.isAbortError(error)) return;
+
+    console.error('Failed to load spending:', error);
+    container.innerHTML = '<p>Ошибка загрузки аналитики</p>';
+  } finally {
+    container.style.opacity = '';
+  }
+}
+
+/**
+ * Render spending panel for the selected month
+ * @param {HTMLElement} container
+ */
+function renderSpending(container) {
+  const summary = summarizeSpending(spendingData, selectedMonth, { rates: exchangeRates });
+  const isCurrentMonth = selectedMonth >= monthKey(new Date());
+  const isEmpty = summary.total.amount === 0 && summary.previousTotal.amount === 0;
+
+  container.innerHTML = `
+    <div class="flex-between" style="margin-bottom: 1.5rem;">
+      <button type="button" class="btn btn-ghost btn-sm" data-month-shift="-1" aria-label="Предыдущий месяц">‹</button>
+      <strong>${formatMonth(selectedMonth)}</strong>
+      <button type="button" class="btn btn-ghost btn-sm" data-month-shift="1" aria-label="Следующий месяц"
+        ${isCurrentMonth ? 'disabled' : ''}>›</button>
+    </div>
+
+    ${isEmpty ? `
+      <div class="empty-state">
+        <div class="empty-state-icon">📊</div>
+        <p>Расходов за ${formatMonth(selectedMonth).toLowerCase()} и предыдущий месяц нет</p>
+      </div>
+    ` : `
+      <div class="grid grid-2" style="align-items: center; gap: 2rem;">
+        <div class="flex-center">${renderDonut(summary)}</div>
+        <div>
+          ${renderCategoryTable(summary)}
+          <div class="flex-between" style="margin-top: 1rem; font-weight: 600;">
+            <span>Всего</span>
+            <span>${ui.formatCurrency(summary.total)} ${renderChange(summary.change, summary.total.amount)}</span>
+          </div>
+          <div style="color: var(--text-secondary); font-size: var(--text-sm); text-align: right;">
+            ${formatMonth(summary.previousMonth)}: ${ui.formatCurrency(summary.previousTotal)}
+          </div>
+        </div>
+      </div>
+    `}
+
+    ${summary.skipped > 0 ? `
+      <p style="color: var(--text-secondary); font-size: var(--text-sm); margin-top: 1rem;">
+        Без учёта операций в другой валюте (${summary.skipped}): курсы недоступны
+      </p>
+    ` : ''}
+  `;
+}
+
+/**
+ * Render donut chart of the month's spending by category
+ * @param {Object} summary - See summarizeSpending()
+ * @returns {string} SVG markup
+ */
+function renderDonut(summary) {
+  let offset = 0;
+
+  const segments = summary.categories
+    .filter(row => row.amount.amount > 0)
+    .map(row => {
+      const category = categories.getCategory(row.id);
+      const length = row.share * 100;
+
+      // Offset 25 starts the first segment at 12 o'clock
+      const segment = `
+        <circle cx="21" cy="21" r="${DONUT_RADIUS}" fill="none" stroke="${category.color}" stroke-width="6"
+          stroke-dasharray="${length} ${100 - length}" stroke-dashoffset="${25 - offset}">
+          <title>${category.name}: ${ui.formatCurrency(row.amount)} (${Math.round(row.share * 100)}%)</title>
+        </circle>
+      `;
+
+      offset += length;
+      return segment;
+    });
+
+  return `
+    <svg viewBox="0 0 42 42" width="220" height="220" role="img" aria-label="Расходы по категориям">
+      <circle cx="21" cy="21" r="${DONUT_RADIUS}" fill="none" stroke="var(--border)" stroke-width="6"></circle>
+      ${segments.join('')}
+      <text x="21" y="19.5" text-anchor="middle" font-size="2.8" fill="var(--text-secondary)">Расходы</text>
+      <text x="21" y="24" text-anchor="middle" font-size="3.4" font-weight="600" fill="var(--text-primary)">
+        ${ui.formatCurrency(summary.total)}
+      </text>
+    </svg>
+  `;
+}
+
+/**
+ * Render per-category totals with the previous month
+ * @param {Object} summary - See summarizeSpending()
+ * @returns {string}
+ */
+function renderCategoryTable(summary) {
+  return `
+    <table class="table">
+      <tbody>
+        ${summary.categories.map(row => {
+          const category = categories.getCategory(row.id);
+
+          return `
+            <tr>
+              <td>
+                <span style="display: inline-block; width: 0.75rem; height: 0.75rem; border-radius: var(--radius-full); background: ${category.color}; margin-right: 0.5rem;"></span>
+                ${category.icon} ${category.name}
+              </td>
+              <td style="text-align: right;">
+                <strong>${ui.formatCurrency(row.amount)}</strong>
+                <small style="display: block; color: var(--text-secondary);">было ${ui.formatCurrency(row.previous)}</small>
+              </td>
+              <td style="text-align: right;">${renderChange(row.change, row.amount.amount)}</td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Render month-over-month change badge
+ * More spending is shown as bad news.
+ * @param {number|null} change - See changeRatio()
+ * @param {number} current - Current amount, to tell new spending from none
+ * @returns {string}
+ */
+function renderChange(change, current = 0) {
+  if (change === null) {
+    return current > 0 ? '<span class="badge badge-primary">новое</span>' : '';
+  }
+
+  const percent = Math.round(change * 100);
+
+  if (percent === 0) {
+    return '<span class="badge badge-primary">0%</span>';
+  }
+
+  return percent > 0
+    ? `<span class="badge badge-error">▲ ${percent}%</span>`
+    : `<span class="badge badge-success">▼ ${-percent}%</span>`;
+}
+
+export default {
+  summarizeSpending,
+  init,
+  loadSpending
+};
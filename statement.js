@@ -0,0 +1,293 @@
+/**
+ * Zaman Bank - Statement Export Module
+ * Exports account statements as CSV, OFX or a printable page
+ *
+ * CSV and the printed statement show dates and amounts as the app does
+ * (ui.formatDate, ui.formatCurrency). OFX uses the formats of the OFX 2.2
+ * spec, so accounting software can import it.
+ */
+
+import * as api from 'api.js';
+import * as categories from 'categories.js';
+import * as money from 'money.js';
+import * as ui from 'ui.js';
+import { downloadFile, escapeHtml } from 'utils.js';
+
+// Export formats by id
+export const FORMATS = {
+  csv: { name: 'CSV (Excel, Google Таблицы)', extension: 'csv', type: 'text/csv;charset=utf-8' },
+  ofx: { name: 'OFX (бухгалтерские программы)', extension: 'ofx', type: 'application/x-ofx;charset=utf-8' },
+  print: { name: 'PDF / печать' }
+};
+
+// Id of the element the statement is rendered into for printing
+const PRINT_CONTAINER_ID = 'statement-print';
+
+/**
+ * Quote CSV field when needed
+ * @param {string} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Neutralize text that spreadsheet apps would run as a formula
+ * Used for user-entered text (names, descriptions carrying goal titles);
+ * formatted amounts start with a sign and stay as they are.
+ * @param {string} text
+ * @returns {string}
+ */
+function csvText(text) {
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Build CSV statement
+ * Semicolon-separated with a BOM, which spreadsheet apps in the Russian locale open as is.
+ * @param {Object} statement - See api.getStatement()
+ * @returns {string}
+ */
+export function toCSV(statement) {
+  const overrides = categories.getOverrides();
+  const { symbol } = money.CURRENCIES[statement.account.currency];
+
+  const rows = [
+    ['Выписка по счёту', statement.account.number],
+    ['Владелец', csvText(statement.account.holder)],
+    ['Период', `${ui.formatDate(statement.from)} — ${ui.formatDate(statement.to)}`],
+    ['Входящий остаток', ui.formatCurrency(statement.opening_balance)],
+    ['Поступления', ui.formatCurrency(statement.total_credit)],
+    ['Списания', ui.formatCurrency(statement.total_debit)],
+    ['Исходящий остаток', ui.formatCurrency(statement.closing_balance)],
+    [],
+    ['Дата', 'Описание', 'Категория', 'Сумма операции', `Сумма, ${symbol}`],
+    ...statement.items.map(t => [
+      ui.formatDate(t.date),
+      csvText(t.description),
+      categories.getCategory(categories.categorize(t, overrides)).name,
+      ui.formatCurrency(t.amount, { sign: true }),
+      ui.formatCurrency(t.account_amount, { sign: true })
+    ])
+  ];
+
+  return '\uFEFF' + rows.map(row => row.map(csvField).join(';')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Format date for OFX
+ * @param {string} value - "YYYY-MM-DD" or ISO timestamp
+ * @returns {string} "YYYYMMDD" or "YYYYMMDDHHMMSS" (UTC)
+ */
+function ofxDate(value) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value.replace(/-/g, '');
+  }
+
+  return new Date(value).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+/**
+ * Escape text for OFX elements
+ * @param {string} text
+ * @param {number} maxLength - Element length limit of the spec
+ * @returns {string}
+ */
+function ofxText(text, maxLength) {
+  return text
+    .slice(0, maxLength)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Build OFX 2.2 statement
+ * Amounts are in account currency; foreign transactions carry their original currency and rate.
+ * @param {Object} statement - See api.getStatement()
+ * @returns {string}
+ */
+export function toOFX(statement) {
+  const { account } = statement;
+  const ok = '<STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>';
+
+  const transactions = statement.items.map(t => {
+    const foreign = t.amount.currency !== account.currency && t.amount.amount !== 0;
+    const rate = foreign ? (money.toMajor(t.account_amount) / money.toMajor(t.amount)).toFixed(4) : null;
+
+    const fields = [
+      `<TRNTYPE>${t.type === 'credit' ? 'CREDIT' : 'DEBIT'}</TRNTYPE>`,
+      `<DTPOSTED>${ofxDate(t.date)}</DTPOSTED>`,
+      `<TRNAMT>${money.toDecimalString(t.account_amount)}</TRNAMT>`,
+      `<FITID>${t.id}</FITID>`,
+      `<NAME>${ofxText(t.description, 32)}</NAME>`,
+      t.description.length > 32 && `<MEMO>${ofxText(t.description, 255)}</MEMO>`,
+      foreign && `<ORIGCURRENCY><CURRATE>${rate}</CURRATE><CURSYM>${t.amount.currency}</CURSYM></ORIGCURRENCY>`
+    ];
+
+    return `
+          <STMTTRN>
+            ${fields.filter(Boolean).join('\n            ')}
+          </STMTTRN>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>
+<OFX>
+  <SIGNONMSGSRSV1>
+    <SONRS>
+      ${ok}
+      <DTSERVER>${ofxDate(statement.generated_at)}</DTSERVER>
+      <LANGUAGE>RUS</LANGUAGE>
+    </SONRS>
+  </SIGNONMSGSRSV1>
+  <BANKMSGSRSV1>
+    <STMTTRNRS>
+      <TRNUID>${ofxDate(statement.generated_at)}</TRNUID>
+      ${ok}
+      <STMTRS>
+        <CURDEF>${account.currency}</CURDEF>
+        <BANKACCTFROM>
+          <BANKID>ZAMANBANK</BANKID>
+          <ACCTID>${account.number}</ACCTID>
+          <ACCTTYPE>CHECKING</ACCTTYPE>
+        </BANKACCTFROM>
+        <BANKTRANLIST>
+          <DTSTART>${ofxDate(statement.from)}</DTSTART>
+          <DTEND>${ofxDate(statement.to)}</DTEND>${transactions.join('')}
+        </BANKTRANLIST>
+        <LEDGERBAL>
+          <BALAMT>${money.toDecimalString(statement.closing_balance)}</BALAMT>
+          <DTASOF>${ofxDate(statement.to)}</DTASOF>
+        </LEDGERBAL>
+      </STMTRS>
+    </STMTTRNRS>
+  </BANKMSGSRSV1>
+</OFX>
+`;
+}
+
+/**
+ * Render statement as a printable document
+ * @param {Object} statement - See api.getStatement()
+ * @returns {string} HTML
+ */
+export function renderStatement(statement) {
+  const { account } = statement;
+  const hasForeign = statement.items.some(t => t.amount.currency !== account.currency);
+
+  return `
+    <div class="statement">
+      <div class="flex-between" style="align-items: flex-start; margin-bottom: 2rem;">
+        <div>
+          <h1 style="font-size: var(--text-2xl);">🏦 Zaman Bank</h1>
+          <p>Выписка по счёту</p>
+        </div>
+        <div style="text-align: right; font-size: var(--text-sm);">
+          Сформирована ${ui.formatDate(statement.generated_at)}
+        </div>
+      </div>
+
+      <table class="statement-details">
+        <tbody>
+          <tr><th>Владелец</th><td>${escapeHtml(account.holder)}</td></tr>
+          <tr><th>Счёт</th><td>${account.number}</td></tr>
+          <tr><th>Валюта</th><td>${money.CURRENCIES[account.currency].name}</td></tr>
+          <tr><th>Период</th><td>${ui.formatDate(statement.from)} — ${ui.formatDate(statement.to)}</td></tr>
+        </tbody>
+      </table>
+
+      <table class="statement-details">
+        <tbody>
+          <tr><th>Входящий остаток на ${ui.formatDate(statement.from)}</th><td>${ui.formatCurrency(statement.opening_balance)}</td></tr>
+          <tr><th>Поступления</th><td>${ui.formatCurrency(statement.total_credit)}</td></tr>
+          <tr><th>Списания</th><td>${ui.formatCurrency(statement.total_debit)}</td></tr>
+          <tr><th>Исходящий остаток на ${ui.formatDate(statement.to)}</th><td>${ui.formatCurrency(statement.closing_balance)}</td></tr>
+        </tbody>
+      </table>
+
+      ${statement.items.length === 0 ? '<p>Операций за период нет</p>' : `
+        <table class="table">
+          <thead>
+            <tr>
+              <th>Дата</th>
+              <th>Описание</th>
+              ${hasForeign ? '<th>Сумма операции</th>' : ''}
+              <th style="text-align: right;">Сумма</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${statement.items.map(t => `
+              <tr>
+                <td>${ui.formatDate(t.date)}</td>
+                <td>${escapeHtml(t.description)}</td>
+                ${hasForeign ? `<td>${t.amount.currency !== account.currency ? ui.formatCurrency(t.amount, { sign: true }) : ''}</td>` : ''}
+                <td style="text-align: right;">${ui.formatCurrency(t.account_amount, { sign: true })}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `}
+    </div>
+  `;
+}
+
+/**
+ * Open the print dialog with the statement only
+ * "Save as PDF" in the dialog gives a PDF statement.
+ * @param {Object} statement - See api.getStatement()
+ */
+export function printStatement(statement) {
+  let container = document.getElementById(PRINT_CONTAINER_ID);
+
+  if (!container) {
+    container = document.createElement('div');
+    container.id = PRINT_CONTAINER_ID;
+    document.body.appendChild(container);
+  }
+
+  container.innerHTML = renderStatement(statement);
+  document.body.classList.add('printing-statement');
+
+  const cleanup = () => {
+    document.body.classList.remove('printing-statement');
+    container.innerHTML = '';
+    window.removeEventListener('afterprint', cleanup);
+  };
+
+  window.addEventListener('afterprint', cleanup);
+  window.print();
+}
+
+/**
+ * Load statement for a period and export it
+ * @param {number} userId
+ * @param {Object} period - {from, to: "YYYY-MM-DD", inclusive}
+ * @param {string} format - Key of FORMATS
+ * @returns {Promise<Object>} Statement
+ */
+export async function exportStatement(userId, period, format) {
+  const statement = await api.getStatement(userId, period, { key: 'statement-export' });
+
+  if (format === 'print') {
+    printStatement(statement);
+    return statement;
+  }
+
+  const { extension, type } = FORMATS[format];
+  const content = format === 'ofx' ? toOFX(statement) : toCSV(statement);
+
+  downloadFile(`zaman-bank-statement_${statement.from}_${statement.to}.${extension}`, content, type);
+  return statement;
+}
+
+export default {
+  FORMATS,
+  toCSV,
+  toOFX,
+  renderStatement,
+  printStatement,
+  exportStatement
+};
@@ -3,6 +3,8 @@
  * Handles UI interactions, modals, toasts, and common components
  */
 
+import * as money from 'money.js';
+
 /**
  * Show toast notification
  * @param {string} message - Message to display
@@ -37,9 +39,10 @@ export function showToast(message, type = 'info', duration = 3000) {
  * @param {string} message - Modal message
  * @param {string} confirmText - Confirm button text
  * @param {string} cancelText - Cancel button text
- * @returns {Promise<boolean>} - Resolves to true if confirmed
+ * @param {Object} options - {signal: closes the modal when aborted}
+ * @returns {Promise<boolean|null>} - Resolves to true if confirmed, null if closed by signal
  */
-export function showConfirmModal(title, message, confirmText = 'Подтвердить', cancelText = 'Отмена') {
+export function showConfirmModal(title, message, confirmText = 'Подтвердить', cancelText = 'Отмена', { signal } = {}) {
   return new Promise((resolve) => {
     const modal = document.createElement('div');
     modal.className = 'modal-overlay';
@@ -81,6 +84,11 @@ export function showConfirmModal(title, message, confirmText = 'Подтверд
         resolve(false);
       }
     });
+
+    signal?.addEventListener('abort', () => {
+      closeModal(modal);
+      resolve(null);
+    }, { once: true });
   });
 }
 
@@ -139,15 +147,19 @@ export function showLoading(container) {
 
 /**
  * Format currency
- * @param {number} amount 
+ * Plain numbers are treated as whole tenge. Invalid amounts give a placeholder,
+ * so one bad record doesn't break the whole template.
+ * @param {Object|number} amount - Money {amount, currency} or number of tenge
+ * @param {Object} options - {sign: always show +/-}
  * @returns {string}
  */
-export function formatCurrency(amount) {
-  return new Intl.NumberFormat('ru-RU', {
-    style: 'decimal',
-    minimumFractionDigits: 0,
-    maximumFractionDigits: 0
-  }).format(amount) + ' ₸';
+export function formatCurrency(amount, options = {}) {
+  try {
+    return money.format(money.isMoney(amount) ? amount : money.fromMajor(amount), options);
+  } catch (error) {
+    console.warn('Cannot format amount:', amount, error);
+    return '—';
+  }
 }
 
 /**
@@ -63,18 +63,8 @@ export function deepClone(obj) {
  * @returns {Object}
  */
 export function getQueryParams() {
-  const params = {};
-  const queryString = window.location.search.substring(1);
-  const pairs = queryString.split('&');
-
-  pairs.forEach(pair => {
-    const [key, value] = pair.split('=');
-    if (key) {
-      params[decodeURIComponent(key)] = decodeURIComponent(value || '');
-    }
-  });
-
-  return params;
+  // URLSearchParams also decodes "+" written by setQueryParam() for spaces
+  return Object.fromEntries(new URLSearchParams(window.location.search));
 }
 
 /**
@@ -88,6 +78,32 @@ export function setQueryParam(key, value) {
   window.history.pushState({}, '', url);
 }
 
+/**
+ * Set several query parameters as one history entry
+ * Empty values (null, undefined, '') remove the parameter.
+ * @param {Object} params - Key -> value
+ * @param {Object} options - {replace: replace current history entry instead of adding one}
+ */
+export function setQueryParams(params, { replace = false } = {}) {
+  const url = new URL(window.location);
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === '') {
+      url.searchParams.delete(key);
+    } else {
+      url.searchParams.set(key, value);
+    }
+  });
+
+  if (url.href === window.location.href) return;
+
+  if (replace) {
+    window.history.replaceState({}, '', url);
+  } else {
+    window.history.pushState({}, '', url);
+  }
+}
+
 /**
  * Calculate percentage
  * @param {number} current 
@@ -137,6 +153,42 @@ export async function copyToClipboard(text) {
   }
 }
 
+/**
+ * Escape text for use in HTML markup and attribute values
+ * @param {string} text 
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Save generated content as a file
+ * @param {string} filename 
+ * @param {string|Blob} content 
+ * @param {string} type - MIME type
+ */
+export function downloadFile(filename, content, type = 'text/plain;charset=utf-8') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 export default {
   debounce,
   throttle,
@@ -144,8 +196,11 @@ export default {
   deepClone,
   getQueryParams,
   setQueryParam,
+  setQueryParams,
   calculatePercentage,
   formatLargeNumber,
   isMobile,
-  copyToClipboard
+  copyToClipboard,
+  escapeHtml,
+  downloadFile
 };
@@ -159,6 +159,28 @@ export function validateForm(form, rules) {
   return isValid;
 }
 
+/**
+ * Show server-side field errors on form inputs
+ * @param {HTMLFormElement} form 
+ * @param {Object} fieldErrors - Map of field name to message
+ * @param {Object} fieldMap - Map of API field name to form field name
+ * @returns {boolean} - True if at least one error was shown
+ */
+export function showFieldErrors(form, fieldErrors = {}, fieldMap = {}) {
+  let shown = false;
+
+  for (const [field, message] of Object.entries(fieldErrors)) {
+    const input = form.elements[fieldMap[field] || field];
+
+    if (!input) continue;
+
+    showError(input, Array.isArray(message) ? message[0] : message);
+    shown = true;
+  }
+
+  return shown;
+}
+
 export default {
   validateEmail,
   validatePassword,
@@ -167,5 +189,6 @@ export default {
   validateDate,
   showError,
   clearError,
-  validateForm
+  validateForm,
+  showFieldErrors
 };